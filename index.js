@@ -17,20 +17,57 @@ Configuration example for your Homebridge config.json:
         "username": "myusername",
         "password": "mypassword",
         "includeActions": true,
+        "includeVariables": true,
+        "variableTypes": { "135135": "temperature", "246246": "switch" },
         "includeIds": [ "12345", "67890" ],
         "excludeIds": [ "98765", "43210" ],
         "treatAsSwitchIds": [ "13579", "24680" ],
+        "treatAsOutletIds": [ "771133" ],
         "treatAsLockIds": [ "112233", "445566" ],
         "treatAsDoorIds": [ "224466", "664422" ],
         "treatAsGarageDoorIds": [ "223344", "556677" ],
+        "garageDoors": [ { "relayId": "889900", "sensorId": "990011", "travelTime": 15 } ],
         "treatAsMotionSensorIds": [ "336699" ],
         "treatAsContactSensorIds": [ "446688" ],
+        "treatAsLeakSensorIds": [ "113355" ],
+        "treatAsSmokeSensorIds": [ "224477" ],
+        "treatAsCarbonMonoxideSensorIds": [ "335577" ],
+        "treatAsOccupancySensorIds": [ "446699" ],
+        "treatAsDoorbellIds": [ "557700" ],
+        "treatAsTemperatureSensorIds": [ "557799" ],
+        "treatAsHumiditySensorIds": [ "668800" ],
+        "treatAsLightSensorIds": [ "779911" ],
+        "sensorValueKeys": { "779911": "luminance" },
         "treatAsWindowIds": [ "123123", "456456" ],
         "treatAsWindowCoveringIds": [ "345345", "678678" ],
+        "travelTimes": { "345345": 20 },
+        "windowCoveringTilts": { "345345": { "deviceId": "345346" }, "678678": { "key": "tiltLevel", "vertical": true, "invert": true } },
         "invertOnOffIds": [ "234234", "567567" ],
+        "adaptiveLightingIds": [ "789789" ],
+        "fanSpeeds": { "147147": 4 },
+        "useFanv2": true,
+        "fanLights": [ { "fanId": "258258", "lightId": "369369", "name": "Bedroom Fan" } ],
+        "composites": [ { "name": "Pool", "members": [ { "id": "159159", "type": "switch" }, { "id": "260260", "type": "thermostat" } ] } ],
+        "lightGroups": [ { "name": "Kitchen Pot Lights", "ids": [ "101101", "202202", "303303" ] } ],
+        "sceneSwitches": [ { "name": "Movie Mode", "onActionId": "404404", "offActionId": "505505", "stateVariableId": "606606" } ],
+        "buttons": [ { "name": "Kitchen Keypad", "ids": [ "kitchen-a", "kitchen-b" ] } ],
+        "securitySystems": [ { "name": "Alarm", "stateVariableId": "707707", "states": { "away": "armedAway", "stay": "armedStay", "disarmed": "disarmed", "triggered": "alarm" }, "actionIds": { "away": "808808", "disarmed": "909909" } } ],
+        "detectSensors": true,
+        "detectOutlets": true,
+        "detectSprinklers": true,
+        "outletInUseWatts": 1,
         "thermostatsInCelsius": false,
+        "lowBatteryThreshold": 20,
+        "enableHistory": true,
+        "historyDays": 28,
         "accessoryNamePrefix": "",
-        "listenPort": 8177
+        "listenPort": 8177,
+        "discoveryInterval": 600,
+        "pollInterval": 30,
+        "pollIntervals": { "Insteon Thermostat": 120 },
+        "cacheTime": 5,
+        "requestTimeout": 10,
+        "requestRetries": 2
     }
 ]
 
@@ -44,26 +81,181 @@ Fields:
     "username": Username to log into Indigo web server, if applicable (optional)
     "password": Password to log into Indigo web server, if applicable (optional)
     "includeActions": If true, creates HomeKit switches for your actions (optional, defaults to false)
+    "includeVariables": If true, creates HomeKit accessories for your variables (optional, defaults to false) - see below
+    "variableTypes": Object mapping Indigo variable IDs to "switch", "temperature", "humidity" or "light" (optional)
     "includeIds": Array of Indigo IDs to include (optional - if provided, only these Indigo IDs will map to HomeKit devices)
     "excludeIds": Array of Indigo IDs to exclude (optional - if provided, these Indigo IDs will not be mapped to HomeKit devices)
     "treatAsSwitchIds": Array of Indigo IDs to treat as switches (instead of lightbulbs) - devices must support on/off to qualify
+    "treatAsOutletIds": Array of Indigo IDs to treat as outlets (instead of lightbulbs) - devices must support on/off to qualify
     "treatAsLockIds": Array of Indigo IDs to treat as locks (instead of lightbulbs) - devices must support on/off to qualify (on = locked)
     "treatAsDoorIds": Array of Indigo IDs to treat as doors (instead of lightbulbs) - devices must support on/off to qualify (on = open)
     "treatAsGarageDoorIds": Array of Indigo IDs to treat as garage door openers (instead of lightbulbs) - devices must support on/off to qualify (on = open)
+    "garageDoors": Array of garage door openers operated by a relay, each with the Indigo ID of the relay ("relayId"), optionally the Indigo ID of a sensor that is on when the door is open ("sensorId"), and the number of seconds the door takes to open or close ("travelTime", default 15)
     "treatAsMotionSensorIds": Array of Indigo IDs to treat as motion sensors - devices must support on/off to qualify (on = triggered)
     "treatAsContactSensorIds": Array of Indigo IDs to treat as contact sensors - devices must support on/off to qualify (on = contact detected)
+    "treatAsLeakSensorIds": Array of Indigo IDs to treat as leak sensors - devices must support on/off to qualify (on = leak detected)
+    "treatAsSmokeSensorIds": Array of Indigo IDs to treat as smoke sensors - devices must support on/off to qualify (on = smoke detected)
+    "treatAsCarbonMonoxideSensorIds": Array of Indigo IDs to treat as carbon monoxide sensors - devices must support on/off to qualify (on = carbon monoxide detected)
+    "treatAsOccupancySensorIds": Array of Indigo IDs to treat as occupancy sensors - devices must support on/off to qualify (on = occupied)
+    "treatAsDoorbellIds": Array of Indigo IDs to treat as doorbells, which ring when the device turns on (or see below)
+    "treatAsTemperatureSensorIds": Array of Indigo IDs to treat as temperature sensors, in the same units as thermostats (see "thermostatsInCelsius")
+    "treatAsHumiditySensorIds": Array of Indigo IDs to treat as humidity sensors (percent)
+    "treatAsLightSensorIds": Array of Indigo IDs to treat as light sensors (lux)
+    "sensorValueKeys": Object mapping Indigo IDs of sensors to the JSON key holding their value (optional, defaults to "sensorValue")
     "treatAsWindowIds": Array of Indigo IDs to treat as windows (instead of lightbulbs) - devices must support on/off to qualify (on = open)
     "treatAsWindowCoveringIds": Array of Indigo IDs to treat as window coverings (instead of lightbulbs) - devices must support on/off to qualify (on = open)
+    "travelTimes": Object mapping Indigo IDs of doors, windows and window coverings to the number of seconds they take to move between fully closed and fully open (optional, without it HomeKit shows them at their new position straight away)
+    "windowCoveringTilts": Object mapping Indigo IDs of window coverings to the tilt of their slats, given by the Indigo ID of a device whose brightness is the tilt ("deviceId") or the JSON key of the covering's own device that holds the tilt ("key"), from 0 to 100 - optionally with "vertical": true if the slats are vertical, and "invert": true to reverse the direction of the tilt (read-only in HomeKit with "key")
     "invertOnOffIds": Array of Indigo IDs where on and off are inverted in meaning (e.g. if a lock, on = unlocked and off = locked)
+    "adaptiveLightingIds": Array of Indigo IDs of dimmers with a white temperature that should support HomeKit's Adaptive Lighting (optional, requires homebridge 1.1 or later)
+    "fanSpeeds": Object mapping Indigo IDs of fans to their number of speeds, or 0 if the speed is continuously variable (optional, defaults to what the device reports)
+    "useFanv2": If true, fans are HomeKit Fanv2 services instead of Fan services (optional, defaults to false)
+    "fanLights": Array of objects with a "fanId" and a "lightId" of Indigo devices to combine into a single HomeKit accessory, and an optional "name" (optional)
+    "composites": Array of objects with a "name" and an array of "members", each with the "id" of an Indigo device and optionally its "type", to combine into a single HomeKit accessory (optional)
+    "lightGroups": Array of objects with a "name" and an array of Indigo "ids" of lights to control together as a single HomeKit light (optional)
+    "sceneSwitches": Array of objects with a "name", an "onActionId" and an "offActionId" of Indigo action groups, and optionally a "stateDeviceId" or "stateVariableId" whose on/off state the switch shows (optional)
+    "buttons": Array of objects with a "name" and the "ids" of buttons to show as a single HomeKit accessory whose presses are sent to the listener (optional, requires "listenPort")
+    "securitySystems": Array of objects with a "name", the "stateDeviceId" (and its "stateKey") or "stateVariableId" holding the alarm's state, the Indigo "states" value for each of "stay", "away", "night", "disarmed" and "triggered", and the "actionIds" of action groups that arm or disarm it (optional)
+    "detectSensors": If true, devices with a sensor value whose Indigo type looks like a temperature, humidity or light sensor are treated as that sensor (optional, defaults to false)
+    "detectOutlets": If true, on/off devices whose Indigo type looks like an appliance module or outlet are treated as outlets (optional, defaults to false)
+    "detectSprinklers": If true, devices that Indigo describes with sprinkler zones are treated as irrigation systems (optional, defaults to false)
+    "outletInUseWatts": Power (in watts) above which an outlet that reports its power is considered in use (optional, defaults to 1)
     "thermostatsInCelsius": If true, thermostats in Indigo are reporting temperatures in celsius (optional, defaults to false)
+    "lowBatteryThreshold": Battery level (percent) at or below which HomeKit reports a low battery, for devices that report their battery level (optional, defaults to 20)
+    "enableHistory": If true, temperature, humidity, motion, contact and power readings are recorded so the Eve app can show their history (optional, defaults to false)
+    "historyDays": Number of days of history to keep for the Eve app (optional, defaults to 28)
     "accessoryNamePrefix": Prefix all accessory names with this string (optional, useful for testing)
     "listenPort": homebridge-indigo will listen on this port for device state updates from Indigo (requires compatible Indigo plugin) (optional, defaults to not listening)
+    "discoveryInterval": Number of seconds between checks for Indigo devices and actions that have been added or removed (optional, defaults to 600, 0 disables)
+    "pollInterval": Number of seconds between polls of each device for state changes (optional, defaults to 30 if "listenPort" is not specified and 0 otherwise, 0 disables)
+    "pollIntervals": Object mapping Indigo device types to their own poll intervals in seconds, overriding "pollInterval" (optional)
+    "requestTimeout": Number of seconds to wait for Indigo to respond to a request (optional, defaults to 10, 0 waits forever)
+    "requestRetries": Number of times to retry a failed request to read state from Indigo (optional, defaults to 2)
+    "cacheTime": Number of seconds that device state read from Indigo is reused when HomeKit asks for it again (optional, defaults to 5, ignored when "listenPort" is specified because the state is always current)
 
 Note that if you specify both "includeIds" and "excludeIds", then only the IDs that are in
 "includeIds" and missing from "excludeIds" will be mapped to HomeKit devices.  Typically,
 you would only specify one or the other, not both of these lists.  If you just want to
 expose everything, then omit both of these keys from your configuration.
 
+Without "listenPort", homebridge-indigo polls Indigo so that changes made outside of HomeKit (e.g. at
+a wall switch) still trigger HomeKit automations and notifications.  The Indigo device type used by
+"pollIntervals" is shown in the homebridge log when each device is discovered.  If Indigo responds
+slowly, the poll intervals are automatically stretched until it recovers.
+
+If Indigo stops responding, homebridge-indigo stops sending it requests for 30 seconds at a time, then
+sends a single request to see whether it has recovered.  Meanwhile HomeKit shows the affected
+accessories as "Not Responding".
+
+If "detectSensors" is true, devices with a sensor value whose Indigo device type mentions temperature,
+humidity or luminance are exposed as the matching HomeKit sensor.  Turning "detectSensors" on replaces the
+existing accessories of any such devices in HomeKit, so any scenes and automations that use them need to be
+set up again.  Use the "treatAs...SensorIds" lists for any other sensor devices, and "sensorValueKeys" if the
+value is not in the device's "sensorValue".
+
+If "detectOutlets" is true, appliance modules and outlets are recognised from their Indigo device type and
+become HomeKit outlets, so "turn off all the lights" leaves them alone.  Use "treatAsOutletIds" for any others.
+Turning "detectOutlets" on replaces the lightbulbs of existing appliance modules in HomeKit, so any scenes and
+automations that use them need to be set up again.  An outlet is in use when it draws more than "outletInUseWatts", or
+when it is on if it does not report its power.
+
+Devices that report their power or energy use in Indigo show it in the Eve app, which can also reset the
+total energy use shown in HomeKit (Indigo's own total is left alone).  Voltage and current are shown too,
+for devices whose Indigo properties include "voltage" and "current".
+
+If "enableHistory" is true, the readings of temperature, humidity, motion and contact sensors, and the power
+use of devices that report it, are recorded every 10 minutes (and whenever motion or contact changes) so the
+Eve app can show graphs of them.  The history of each device is kept for "historyDays" days in a file in the
+homebridge storage directory, so it survives restarts of homebridge.  To spare the disk, new readings are
+written to the file at most every 10 minutes, and when homebridge shuts down.  The file is deleted when
+the device is removed from HomeKit.
+
+Dimmers that Indigo reports as supporting RGB get HomeKit hue and saturation controls, and dimmers
+that support a white temperature get a HomeKit color temperature control.
+
+Dimmers listed in "adaptiveLightingIds" can also use HomeKit's Adaptive Lighting, which adjusts their
+white temperature every minute while they are on.  Changing the color or white temperature in Indigo
+pauses Adaptive Lighting until it is turned back on in the Home app.
+
+Fans use the number of speeds reported by Indigo, or are continuously variable if they only report a
+speed level.  Use "fanSpeeds" to override this for a fan, so that the Home app shows its real speeds.
+If "useFanv2" is true, fans are shown as HomeKit's newer kind of fan, which shows whether the fan is
+blowing air.  Turning it on replaces the fans of existing accessories in HomeKit, so any scenes and automations
+that use them need to be set up again.
+
+Ceiling fans and their light kits are separate Indigo devices.  List them in "fanLights" to show them as
+a single HomeKit accessory with both a fan and a light.  The combined accessory uses the fan's HomeKit
+identity, so the light's separate accessory is removed.
+
+Other Indigo devices can be combined in the same way with "composites", such as a keypad's load and
+its buttons, or a pool's pump and heater.  Each member's "type" is one of "switch", "outlet", "lock", "door",
+"garageDoor", "window", "windowCovering", "motionSensor", "contactSensor", "leakSensor", "smokeSensor",
+"carbonMonoxideSensor", "occupancySensor", "doorbell", "temperatureSensor", "humiditySensor", "lightSensor",
+"thermostat", "fan", "irrigation" or "light", and is guessed from the device if left out.  The composite accessory
+uses the HomeKit identity of its first member, and counts as a single accessory towards HomeKit's limit.
+
+If "detectSprinklers" is true, sprinkler controllers become HomeKit irrigation systems, with a valve for each
+zone named after the zone in Indigo (a sprinkler can also be a member of a composite with the "irrigation" type).
+Turning "detectSprinklers" on replaces the existing accessories of any sprinklers in HomeKit, so any scenes and
+automations that use them need to be set up again.  Starting a zone in HomeKit sets the sprinkler's active zone
+in Indigo, and stops it again once the zone's duration (set in the Home app, or else Indigo's maximum duration
+for the zone) has passed.
+
+Doors, windows and window coverings listed in "travelTimes" are shown opening or closing in HomeKit while
+they move to a new position, taking the given number of seconds to move all the way.  Positions that Indigo
+reports while they move are shown as they arrive, and those that can be set to any position can be stopped
+where they are (e.g. from the Eve app).
+
+Window coverings listed in "windowCoveringTilts" also have a HomeKit tilt control for their slats (horizontal,
+unless "vertical" is true).  A tilt of 0 in Indigo is fully tilted one way (-90 degrees in HomeKit) and 100
+is fully tilted the other way (90 degrees), or the reverse if "invert" is true.  A separate tilt device does
+not need to be a HomeKit accessory itself, so it can be left out with "excludeIds".  The tilt can only be
+changed from HomeKit with a tilt device, because Indigo's RESTful API cannot set a device's JSON keys, so a
+tilt that comes from a "key" is read-only in HomeKit.
+
+Each of the "garageDoors" is a HomeKit garage door opener that turns on its Indigo relay (which should
+turn itself off again, e.g. a momentary relay) to open or close the door.  HomeKit shows the door as opening or
+closing for its "travelTime", and then as open or closed according to its sensor.  If the sensor does not
+show the expected state by then, HomeKit shows the door as stopped and obstructed.  A door without a sensor
+is assumed to have reached the expected state.
+
+Doorbells listed in "treatAsDoorbellIds" ring in HomeKit when the Indigo device turns on, or when an Indigo
+trigger sends a GET or POST request to the listener at /doorbells/:id.  Repeated presses within a few
+seconds only ring once.
+
+Each of the "lightGroups" becomes a single HomeKit light that turns all of its Indigo lights on, off or
+to the same brightness.  The group is on if any of its lights is on, and shows their average brightness.
+Its lights do not need to be HomeKit accessories themselves, so they can be left out with "excludeIds".
+
+Each of the "sceneSwitches" is a HomeKit switch that executes one Indigo action group when turned on and
+another when turned off, unlike "includeActions", whose switches only turn on momentarily.  Its state
+comes from the device or variable given as "stateDeviceId" or "stateVariableId", so it shows whether the
+scene is actually active.  Without either, it shows the state it was last set to from HomeKit.
+
+Each of the "buttons" is a HomeKit accessory with one programmable button per ID, which HomeKit
+automations can respond to.  Buttons are pressed by an Indigo trigger (e.g. for an Insteon keypad button)
+that sends a GET or POST request to the listener at /buttons/:id/single, /buttons/:id/double or
+/buttons/:id/long, where :id is one of the button IDs from the configuration.
+
+Each of the "securitySystems" is a HomeKit security system for an alarm panel.  Its state comes from the
+value of a variable ("stateVariableId") or of a device's state ("stateDeviceId", whose "stateKey" defaults to
+"displayRawState"), using "states" to say which Indigo value means "stay", "away", "night", "disarmed" or
+"triggered" (each defaults to its own name).  Setting the state in HomeKit executes the matching action group
+in "actionIds", or else writes the matching value to the variable.  An Indigo trigger can also send a GET or
+POST request to the listener at /securitysystems/:name/:state (e.g. /securitysystems/Alarm/triggered), which
+makes HomeKit raise its alarm notification.  Without a device or variable, the state shown is the last one
+set from HomeKit or the listener.
+
+If "includeVariables" is true, variables whose value is true/false, on/off or yes/no become HomeKit
+switches, and turning the switch on or off writes the variable back to Indigo.  Numeric variables only
+become read-only HomeKit sensors when listed in "variableTypes" as "temperature" (in the same units as
+thermostats), "humidity" (percent) or "light" (lux).  Variables that are not boolean-like and not listed
+in "variableTypes" are ignored.  The listener also accepts updates for variables at /variables/:id.
+
+Accessories are cached by homebridge, and devices and actions that are added to or removed from
+Indigo are picked up every "discoveryInterval" seconds without restarting homebridge.  Devices that
+still exist keep their HomeKit rooms and automations.
+
 Also note that any Indigo devices or actions that have Remote Display unchecked in Indigo
 will NOT be exposed to HomeKit, because Indigo excludes those devices from its RESTful API.
 */
@@ -73,16 +265,23 @@ var async = require("async");
 var express = require("express");
 var bodyParser = require('body-parser');
 var inherits = require('util').inherits;
-var Service, Characteristic, Accessory, uuid;
+var fs = require("fs");
+var path = require("path");
+var Service, Characteristic, PlatformAccessory, AdaptiveLightingController, uuid;
+
+var PLUGIN_NAME = "homebridge-indigo";
+var PLATFORM_NAME = "Indigo";
 
 module.exports = function(homebridge) {
     Service = homebridge.hap.Service;
     Characteristic = homebridge.hap.Characteristic;
-    Accessory = homebridge.hap.Accessory;
+    PlatformAccessory = homebridge.platformAccessory;
+    // Only available in homebridge 1.1 and later
+    AdaptiveLightingController = homebridge.hap.AdaptiveLightingController;
     uuid = homebridge.hap.uuid;
 
-    fixInheritance(IndigoAccessory, Accessory);
     fixInheritance(IndigoSwitchAccessory, IndigoAccessory);
+    fixInheritance(IndigoOutletAccessory, IndigoAccessory);
     fixInheritance(IndigoLockAccessory, IndigoAccessory);
     fixInheritance(IndigoPositionAccessory, IndigoAccessory);
     fixInheritance(IndigoDoorAccessory, IndigoPositionAccessory);
@@ -91,15 +290,31 @@ module.exports = function(homebridge) {
     fixInheritance(IndigoGarageDoorAccessory, IndigoAccessory);
     fixInheritance(IndigoMotionSensorAccessory, IndigoAccessory);
     fixInheritance(IndigoContactSensorAccessory, IndigoAccessory);
+    fixInheritance(IndigoBinarySensorAccessory, IndigoAccessory);
+    fixInheritance(IndigoLeakSensorAccessory, IndigoBinarySensorAccessory);
+    fixInheritance(IndigoSmokeSensorAccessory, IndigoBinarySensorAccessory);
+    fixInheritance(IndigoCarbonMonoxideSensorAccessory, IndigoBinarySensorAccessory);
+    fixInheritance(IndigoOccupancySensorAccessory, IndigoBinarySensorAccessory);
+    fixInheritance(IndigoDoorbellAccessory, IndigoAccessory);
+    fixInheritance(IndigoSensorAccessory, IndigoAccessory);
+    fixInheritance(IndigoTemperatureSensorAccessory, IndigoSensorAccessory);
+    fixInheritance(IndigoHumiditySensorAccessory, IndigoSensorAccessory);
+    fixInheritance(IndigoLightSensorAccessory, IndigoSensorAccessory);
     fixInheritance(IndigoLightAccessory, IndigoAccessory);
+    fixInheritance(IndigoLightGroupAccessory, IndigoLightAccessory);
     fixInheritance(IndigoFanAccessory, IndigoAccessory);
+    fixInheritance(IndigoIrrigationAccessory, IndigoAccessory);
     fixInheritance(IndigoThermostatAccessory, IndigoAccessory);
     fixInheritance(IndigoActionAccessory, IndigoAccessory);
+    fixInheritance(IndigoSceneSwitchAccessory, IndigoAccessory);
+    fixInheritance(IndigoButtonAccessory, IndigoAccessory);
+    fixInheritance(IndigoSecuritySystemAccessory, IndigoAccessory);
+    fixInheritance(IndigoVariableSwitchAccessory, IndigoAccessory);
 
-    homebridge.registerPlatform("homebridge-indigo", "Indigo", IndigoPlatform);
+    homebridge.registerPlatform(PLUGIN_NAME, PLATFORM_NAME, IndigoPlatform, true);
 };
 
-// Necessary because Accessory is defined after we have defined all of our classes
+// Necessary because our prototypes are populated before inherits() runs, which would otherwise discard them
 function fixInheritance(subclass, superclass) {
     var proto = subclass.prototype;
     inherits(subclass, superclass);
@@ -113,20 +328,41 @@ function fixInheritance(subclass, superclass) {
 // Initialize the homebridge platform
 // log: the logger
 // config: the contents of the platform's section of config.json
-function IndigoPlatform(log, config) {
+// api: the homebridge API, used to register and unregister accessories
+function IndigoPlatform(log, config, api) {
     this.log = log;
+    this.api = api;
 
     // We use a queue to serialize all the requests to Indigo
+    // While the circuit breaker is open, queued requests fail immediately instead of waiting on Indigo
+    // task: object with the options of the request, which is marked as sent, and as the probe of a half-open circuit
     this.requestQueue = async.queue(
-        function(options, callback) {
-            this.log("Indigo request: %s", options.url);
-            request(options, callback);
+        function(task, callback) {
+            if (this.isCircuitOpen()) {
+                callback("Indigo is not responding, skipping request " + task.options.url);
+                return;
+            }
+            if (this.circuitOpenUntil !== undefined) {
+                this.log("Testing whether Indigo is responding again");
+                this.circuitProbing = true;
+                task.probe = true;
+            }
+            task.sent = true;
+            this.log("Indigo request: %s", task.options.url);
+            request(task.options, callback);
         }.bind(this)
     );
+    this.consecutiveFailures = 0;
+    this.circuitProbing = false;
 
     this.foundAccessories = [];
     this.accessoryMap = new Map();
 
+    // PlatformAccessory objects restored from the homebridge cache, keyed by UUID, until discovery claims them
+    this.cachedAccessories = new Map();
+    // PlatformAccessory objects created during the current discovery pass, which need to be registered
+    this.newAccessories = [];
+
     // Parse all the configuration options
     var protocol = "http";
     if (config.protocol) {
@@ -155,6 +391,16 @@ function IndigoPlatform(log, config) {
     this.baseURL = protocol + "://" + config.host + ":" + port;
     this.log("Indigo base URL is %s", this.baseURL);
 
+    this.requestTimeout = 10;
+    if (config.requestTimeout !== undefined) {
+        this.requestTimeout = Number(config.requestTimeout);
+    }
+
+    this.requestRetries = 2;
+    if (config.requestRetries !== undefined) {
+        this.requestRetries = Number(config.requestRetries);
+    }
+
     if (config.username && config.password) {
         this.auth = {
             user: config.username,
@@ -164,25 +410,144 @@ function IndigoPlatform(log, config) {
     }
 
     this.includeActions = config.includeActions;
+    this.includeVariables = config.includeVariables;
+    this.variableTypes = config.variableTypes;
     this.includeIds = config.includeIds;
     this.excludeIds = config.excludeIds;
     this.treatAsSwitchIds = config.treatAsSwitchIds;
+    this.treatAsOutletIds = config.treatAsOutletIds;
+    this.detectSensors = (config.detectSensors === true);
+    this.detectOutlets = (config.detectOutlets === true);
+    this.detectSprinklers = (config.detectSprinklers === true);
     this.treatAsLockIds = config.treatAsLockIds;
     this.treatAsDoorIds = config.treatAsDoorIds;
     this.treatAsGarageDoorIds = config.treatAsGarageDoorIds;
+    // Garage doors operated by a relay, keyed by the relay's device ID
+    this.garageDoors = new Map();
+    (config.garageDoors || []).forEach(
+        function(garageDoor) {
+            this.garageDoors.set(String(garageDoor.relayId), garageDoor);
+        }.bind(this)
+    );
     this.treatAsMotionSensorIds = config.treatAsMotionSensorIds;
     this.treatAsContactSensorIds = config.treatAsContactSensorIds;
+    this.treatAsLeakSensorIds = config.treatAsLeakSensorIds;
+    this.treatAsSmokeSensorIds = config.treatAsSmokeSensorIds;
+    this.treatAsCarbonMonoxideSensorIds = config.treatAsCarbonMonoxideSensorIds;
+    this.treatAsOccupancySensorIds = config.treatAsOccupancySensorIds;
+    this.treatAsDoorbellIds = config.treatAsDoorbellIds;
+    this.treatAsTemperatureSensorIds = config.treatAsTemperatureSensorIds;
+    this.treatAsHumiditySensorIds = config.treatAsHumiditySensorIds;
+    this.treatAsLightSensorIds = config.treatAsLightSensorIds;
+    this.sensorValueKeys = config.sensorValueKeys;
     this.treatAsWindowIds = config.treatAsWindowIds;
     this.treatAsWindowCoveringIds = config.treatAsWindowCoveringIds;
     this.invertOnOffIds = config.invertOnOffIds;
+    this.adaptiveLightingIds = config.adaptiveLightingIds;
+    this.fanSpeeds = config.fanSpeeds || {};
+    this.useFanv2 = (config.useFanv2 === true);
+    this.travelTimes = config.travelTimes || {};
+    this.windowCoveringTilts = config.windowCoveringTilts || {};
     this.thermostatsInCelsius = config.thermostatsInCelsius;
 
+    this.outletInUseWatts = 1;
+    if (config.outletInUseWatts !== undefined) {
+        this.outletInUseWatts = Number(config.outletInUseWatts);
+    }
+
+    this.lowBatteryThreshold = 20;
+    if (config.lowBatteryThreshold !== undefined) {
+        this.lowBatteryThreshold = Number(config.lowBatteryThreshold);
+    }
+
+    this.enableHistory = config.enableHistory;
+    this.historyDays = 28;
+    if (config.historyDays !== undefined) {
+        this.historyDays = Number(config.historyDays);
+    }
+
     if (config.accessoryNamePrefix) {
         this.accessoryNamePrefix = config.accessoryNamePrefix;
     } else {
         this.accessoryNamePrefix = "";
     }
 
+    // Indigo devices that share a single HomeKit accessory, keyed by the ID of each member device
+    this.accessoryGroups = new Map();
+    // Accessory types from the configuration that override the type guessed for a device, keyed by device ID
+    this.accessoryTypes = new Map();
+    (config.fanLights || []).forEach(
+        function(fanLight) {
+            this.addAccessoryGroup([ { id: fanLight.fanId }, { id: fanLight.lightId } ], fanLight.name);
+        }.bind(this)
+    );
+    (config.composites || []).forEach(
+        function(composite) {
+            this.addAccessoryGroup(composite.members || [], composite.name);
+        }.bind(this)
+    );
+
+    // Virtual accessories that are built from other Indigo items
+    this.lightGroups = config.lightGroups || [];
+    this.sceneSwitches = config.sceneSwitches || [];
+    this.buttonGroups = config.buttons || [];
+    this.securitySystems = config.securitySystems || [];
+
+    // Latest state of the Indigo items that virtual accessories are built from, keyed by ID,
+    // whether or not they are accessories themselves
+    this.watchedItems = new Map();
+    this.lightGroups.forEach(
+        function(lightGroup) {
+            (lightGroup.ids || []).forEach(this.watchItem.bind(this));
+        }.bind(this)
+    );
+    this.sceneSwitches.forEach(
+        function(sceneSwitch) {
+            [ sceneSwitch.onActionId, sceneSwitch.offActionId, sceneSwitch.stateDeviceId, sceneSwitch.stateVariableId ]
+                .forEach(this.watchItem.bind(this));
+        }.bind(this)
+    );
+    this.garageDoors.forEach(
+        function(garageDoor) {
+            this.watchItem(garageDoor.sensorId);
+        }.bind(this)
+    );
+    for (var coveringId in this.windowCoveringTilts) {
+        if (this.windowCoveringTilts.hasOwnProperty(coveringId)) {
+            this.watchItem(this.windowCoveringTilts[coveringId].deviceId);
+        }
+    }
+    this.securitySystems.forEach(
+        function(securitySystem) {
+            var actionIds = securitySystem.actionIds || {};
+            Object.keys(actionIds).map(
+                function(state) {
+                    return actionIds[state];
+                }
+            ).concat([ securitySystem.stateDeviceId, securitySystem.stateVariableId ])
+                .forEach(this.watchItem.bind(this));
+        }.bind(this)
+    );
+
+    // Number of seconds that device state read from Indigo is reused by HomeKit getters
+    this.cacheTime = 5;
+    if (config.cacheTime !== undefined) {
+        this.cacheTime = Number(config.cacheTime);
+    }
+
+    this.discoveryInterval = 600;
+    if (config.discoveryInterval !== undefined) {
+        this.discoveryInterval = Number(config.discoveryInterval);
+    }
+
+    // Poll Indigo for device state changes, unless Indigo is configured to push them to our listenPort
+    this.pollInterval = (config.listenPort) ? 0 : 30;
+    if (config.pollInterval !== undefined) {
+        this.pollInterval = Number(config.pollInterval);
+    }
+    this.pollIntervals = config.pollIntervals || {};
+    this.pollBackoff = 1;
+
     // Start the accessory update listener, if configured
     if (config.listenPort) {
         this.app = express();
@@ -190,20 +555,182 @@ function IndigoPlatform(log, config) {
         this.app.use(bodyParser.urlencoded({ extended: true }));
         this.app.get("/devices/:id", this.updateAccessory.bind(this));
         this.app.post("/devices/:id", this.updateAccessoryFromPost.bind(this));
+        this.app.get("/variables/:id", this.updateAccessory.bind(this));
+        this.app.post("/variables/:id", this.updateAccessoryFromPost.bind(this));
+        this.app.get("/buttons/:id/:event", this.pressButton.bind(this));
+        this.app.post("/buttons/:id/:event", this.pressButton.bind(this));
+        this.app.get("/doorbells/:id", this.ringDoorbell.bind(this));
+        this.app.post("/doorbells/:id", this.ringDoorbell.bind(this));
+        this.app.get("/securitysystems/:name/:state", this.reportSecurityState.bind(this));
+        this.app.post("/securitysystems/:name/:state", this.reportSecurityState.bind(this));
         this.app.listen(config.listenPort,
             function() {
                 this.log("Listening on port %d", config.listenPort);
+                this.listening = true;
             }.bind(this)
         );
     }
+
+    // Cached accessories have all been restored by the time homebridge finishes launching
+    this.api.on("didFinishLaunching",
+        function() {
+            this.discoverAllAccessories(
+                function() {
+                    if (this.discoveryInterval > 0) {
+                        setInterval(this.discoverAllAccessories.bind(this), this.discoveryInterval * 1000);
+                    }
+                    if (this.isPolling()) {
+                        this.log("Polling Indigo for device state changes");
+                        setTimeout(this.pollAccessories.bind(this), IndigoPlatform.POLL_TICK);
+                    }
+                    if (this.enableHistory) {
+                        setInterval(this.recordHistory.bind(this), IndigoHistory.INTERVAL);
+                    }
+                }.bind(this)
+            );
+        }.bind(this)
+    );
+
+    // History is written to its files in batches, so write any new entries before homebridge exits
+    if (this.enableHistory) {
+        this.api.on("shutdown", this.saveHistory.bind(this));
+    }
 }
 
-// Invokes callback(accessories[]) with all of the discovered accessories for this platform
-IndigoPlatform.prototype.accessories = function(callback) {
+// How often (in milliseconds) the poller checks for accessories that are due to be polled
+IndigoPlatform.POLL_TICK = 1000;
+// Average Indigo response time (in milliseconds) above which the poller backs off
+IndigoPlatform.POLL_SLOW_RESPONSE = 2000;
+// Maximum factor by which the poller will stretch the configured poll intervals
+IndigoPlatform.POLL_MAX_BACKOFF = 16;
+
+// Delay (in milliseconds) before the first retry of a failed GET request, doubled for each subsequent retry
+IndigoPlatform.RETRY_DELAY = 500;
+// Number of consecutive failed requests (after their retries) that opens the circuit breaker
+IndigoPlatform.CIRCUIT_BREAKER_THRESHOLD = 5;
+// Number of milliseconds the circuit breaker stays open before letting a request through to test Indigo
+IndigoPlatform.CIRCUIT_BREAKER_TIME = 30000;
+
+// Invoked by homebridge for each accessory restored from its cache, before didFinishLaunching
+// The accessory is held until discovery finds its Indigo device, so HomeKit keeps its room and automation assignments
+// accessory: the cached PlatformAccessory
+IndigoPlatform.prototype.configureAccessory = function(accessory) {
+    this.log("Restoring cached accessory %s", accessory.displayName);
+    this.cachedAccessories.set(accessory.UUID, accessory);
+};
+
+// Returns the PlatformAccessory for an Indigo ID, restoring it from the homebridge cache if possible
+// Members of an accessory group all share the PlatformAccessory of the group's first ID
+// New PlatformAccessory objects are registered with homebridge at the end of the current discovery pass
+// id: the Indigo ID of the device/action
+// name: the display name of the accessory
+IndigoPlatform.prototype.getPlatformAccessory = function(id, name) {
+    var group = this.accessoryGroups.get(String(id));
+    var accessoryUUID = uuid.generate(group ? group.id : String(id));
+    var platformAccessory;
+    this.accessoryMap.forEach(
+        function(accessory) {
+            if (accessory.accessory.UUID == accessoryUUID) {
+                platformAccessory = accessory.accessory;
+            }
+        }
+    );
+    if (platformAccessory) {
+        return platformAccessory;
+    }
+
+    platformAccessory = this.cachedAccessories.get(accessoryUUID);
+    if (platformAccessory) {
+        this.cachedAccessories.delete(accessoryUUID);
+    } else {
+        platformAccessory = new PlatformAccessory((group && group.name) || name, accessoryUUID);
+        this.newAccessories.push(platformAccessory);
+    }
+    return platformAccessory;
+};
+
+// Adds a group of Indigo devices that are combined into a single HomeKit accessory
+// members: array of objects with the "id" of each member device, and optionally the accessory "type" to create for it
+//          (see createAccessoryOfType), the first of which identifies the HomeKit accessory
+// name: optional, the display name of the HomeKit accessory, defaults to the name of the first member discovered
+IndigoPlatform.prototype.addAccessoryGroup = function(members, name) {
+    if (members.length == 0) {
+        return;
+    }
+    var group = {
+        id: String(members[0].id),
+        name: (name) ? this.accessoryNamePrefix + String(name) : undefined
+    };
+    members.forEach(
+        function(member) {
+            this.accessoryGroups.set(String(member.id), group);
+            if (member.type) {
+                this.accessoryTypes.set(String(member.id), member.type);
+            }
+        }.bind(this)
+    );
+};
+
+// Returns the number of HomeKit accessories, counting each group of Indigo devices once
+IndigoPlatform.prototype.countPlatformAccessories = function() {
+    var platformAccessories = [];
+    this.accessoryMap.forEach(
+        function(accessory) {
+            if (platformAccessories.indexOf(accessory.accessory) < 0) {
+                platformAccessories.push(accessory.accessory);
+            }
+        }
+    );
+    return platformAccessories.length;
+};
+
+// Returns true if adding the item would take the bridge over HomeKit's limit of 99 accessories
+// Members of a group that already has a HomeKit accessory do not count against the limit
+// id: the Indigo ID of the device/action
+IndigoPlatform.prototype.isOverAccessoryLimit = function(id) {
+    var group = this.accessoryGroups.get(String(id));
+    if (group) {
+        var groupUUID = uuid.generate(group.id);
+        var shared = false;
+        this.accessoryMap.forEach(
+            function(accessory) {
+                if (accessory.accessory.UUID == groupUUID) {
+                    shared = true;
+                }
+            }
+        );
+        if (shared) {
+            return false;
+        }
+    }
+    return (this.countPlatformAccessories() >= 99);
+};
+
+// Discovers all of the Indigo devices (and actions, if configured) and reconciles them with the registered accessories
+// Newly found items are registered with homebridge, known items are refreshed, and items that have disappeared
+// from Indigo are unregistered (but only if the whole discovery pass succeeded)
+// callback: optional, invokes callback() when the discovery pass has finished
+IndigoPlatform.prototype.discoverAllAccessories = function(callback) {
+    if (this.discoveryInProgress) {
+        this.log("Discovery already in progress");
+        if (callback) {
+            callback();
+        }
+        return;
+    }
+    this.discoveryInProgress = true;
+    this.discoveryIncomplete = false;
+    this.foundAccessories = [];
+    this.newAccessories = [];
+    this.overLimitCount = 0;
+
     var requestURLs = [ this.path + "/devices.json/" ];
-    if (this.includeActions) {
+    if (this.includeRestParent("actions")) {
         requestURLs.push(this.path + "/actions.json/");
     }
+    if (this.includeRestParent("variables")) {
+        requestURLs.push(this.path + "/variables.json/");
+    }
 
     async.eachSeries(requestURLs,
         function(requestURL, asyncCallback) {
@@ -214,20 +741,111 @@ IndigoPlatform.prototype.accessories = function(callback) {
                 this.log(asyncError);
             }
 
-            if (this.foundAccessories.length > 99) {
+            this.addVirtualAccessories();
+
+            if (asyncError || this.discoveryIncomplete) {
+                this.log("Discovery was incomplete, so no accessories will be removed");
+            } else {
+                this.removeMissingAccessories();
+                this.removeUnusedServices();
+            }
+
+            if (this.newAccessories.length > 0) {
+                this.api.registerPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, this.newAccessories);
+                this.newAccessories = [];
+            }
+
+            if (this.overLimitCount > 0) {
                 this.log("*** WARNING *** you have %s accessories.",
-                         this.foundAccessories.length);
+                         this.countPlatformAccessories() + this.overLimitCount);
                 this.log("*** Limiting to the first 99 discovered. ***");
                 this.log("*** See README.md for how to filter your list. ***");
-                this.foundAccessories = this.foundAccessories.slice(0, 99);
             }
 
-            this.log("Created %s accessories", this.foundAccessories.length);
-            callback(this.foundAccessories.sort(
-                function (a, b) {
-                    return (a.name > b.name) - (a.name < b.name);
+            this.log("Discovered %s accessories", this.countPlatformAccessories());
+            this.discoveryInProgress = false;
+            if (callback) {
+                callback();
+            }
+        }.bind(this)
+    );
+};
+
+// Unregisters accessories that were not found by the discovery pass that just finished
+// This includes known accessories whose Indigo items have been deleted (or excluded),
+// as well as cached accessories that no longer correspond to any Indigo item
+IndigoPlatform.prototype.removeMissingAccessories = function() {
+    var staleAccessories = [];
+
+    this.accessoryMap.forEach(
+        function(accessory, id) {
+            if (this.foundAccessories.indexOf(accessory) < 0) {
+                this.log("Removing accessory %s (ID %s)", accessory.name, id);
+                this.accessoryMap.delete(id);
+                staleAccessories.push(accessory.accessory);
+                if (accessory.history) {
+                    accessory.history.remove();
+                    delete accessory.accessory.context.historyFiles[accessory.id];
                 }
-            ));
+            }
+        }.bind(this)
+    );
+
+    // Keep PlatformAccessory objects that are still shared with other members of their group
+    this.accessoryMap.forEach(
+        function(accessory) {
+            var index = staleAccessories.indexOf(accessory.accessory);
+            while (index >= 0) {
+                staleAccessories.splice(index, 1);
+                index = staleAccessories.indexOf(accessory.accessory);
+            }
+        }
+    );
+
+    this.cachedAccessories.forEach(
+        function(platformAccessory) {
+            this.log("Removing cached accessory %s", platformAccessory.displayName);
+            staleAccessories.push(platformAccessory);
+            var historyFiles = platformAccessory.context.historyFiles || {};
+            Object.keys(historyFiles).forEach(
+                function(id) {
+                    IndigoHistory.deleteFile(this.log, historyFiles[id]);
+                }.bind(this)
+            );
+        }.bind(this)
+    );
+    this.cachedAccessories.clear();
+
+    if (staleAccessories.length > 0) {
+        this.api.unregisterPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, staleAccessories);
+    }
+};
+
+// Removes any services left over from the homebridge cache that no accessory supports any more
+// (e.g. a device that used to be a lightbulb but is now configured as a switch, or has left a group)
+// Done once discovery has finished, as the members of a group each add their own services to a shared PlatformAccessory
+IndigoPlatform.prototype.removeUnusedServices = function() {
+    var usedServices = [];
+    var platformAccessories = [];
+    this.accessoryMap.forEach(
+        function(accessory) {
+            usedServices = usedServices.concat(accessory.getServices());
+            if (platformAccessories.indexOf(accessory.accessory) < 0) {
+                platformAccessories.push(accessory.accessory);
+            }
+        }
+    );
+
+    platformAccessories.forEach(
+        function(platformAccessory) {
+            platformAccessory.services.slice().forEach(
+                function(service) {
+                    if (usedServices.indexOf(service) < 0) {
+                        this.log("%s: Removing unused service %s", platformAccessory.displayName, service.displayName);
+                        platformAccessory.removeService(service);
+                    }
+                }.bind(this)
+            );
         }.bind(this)
     );
 };
@@ -267,6 +885,7 @@ IndigoPlatform.prototype.discoverAccessories = function(requestURL, callback) {
 };
 
 // Adds an IndigoAccessory object to this.foundAccessories and this.accessoryMap
+// If an IndigoAccessory already exists for the item, it is refreshed and added to this.foundAccessories instead
 // item: JSON describing the device, as returned by the root of the Indigo RESTful API (e.g. /devices.json/)
 // callback: invokes callback(error), error is always undefined as we want to ignore errors
 // Note: does not create and add the IndigoAccessory if it is an unknoen type or is excluded by the config
@@ -276,21 +895,42 @@ IndigoPlatform.prototype.addAccessory = function(item, callback) {
         function(error, json) {
             if (error) {
                 this.log("Ignoring accessory %s due to error", item.restURL);
+                this.discoveryIncomplete = true;
                 callback();
             }
             else {
-                // Actions are missing a type field
+                // Actions and variables are missing a type field
                 if (json.restParent == "actions") {
                     json.type = "Action";
+                } else if (json.restParent == "variables") {
+                    json.type = "Variable";
+                }
+                var id = String(json.id);
+                this.refreshWatchedItem(id, json, item.restURL);
+                var accessory = this.accessoryMap.get(id);
+                if (accessory) {
+                    accessory.refreshFromJSON(json);
+                    this.foundAccessories.push(accessory);
+                }
+                else if ((json.restParent == "actions" && !this.includeActions) ||
+                         (json.restParent == "variables" && !this.includeVariables)) {
+                    // Only discovered because a virtual accessory is built from it
                 }
-                this.log("Discovered %s (ID %s): %s", json.type, json.id, json.name);
-                if (this.includeItemId(json.id)) {
-                    var accessory = this.createAccessoryFromJSON(item.restURL, json);
-                    if (accessory) {
-                        this.foundAccessories.push(accessory);
-                        this.accessoryMap.set(String(json.id), accessory);
+                else if (this.includeItemId(json.id)) {
+                    this.log("Discovered %s (ID %s): %s", json.type, json.id, json.name);
+                    if (this.isOverAccessoryLimit(json.id)) {
+                        this.overLimitCount++;
                     } else {
-                        this.log("Ignoring unknown accessory type %s", json.type);
+                        accessory = this.createAccessoryFromJSON(item.restURL, json);
+                        if (accessory) {
+                            if (this.enableHistory) {
+                                accessory.addHistory();
+                            }
+                            this.foundAccessories.push(accessory);
+                            this.accessoryMap.set(id, accessory);
+                        } else {
+                            this.log("Ignoring unknown accessory type %s", json.type);
+                        }
                     }
                 }
                 else {
@@ -302,6 +942,173 @@ IndigoPlatform.prototype.addAccessory = function(item, callback) {
     );
 };
 
+// Records the current values of every accessory with an Eve history, so the Eve app's graphs have a point every interval
+IndigoPlatform.prototype.recordHistory = function() {
+    this.accessoryMap.forEach(
+        function(accessory) {
+            accessory.recordHistory();
+        }
+    );
+};
+
+// Writes the new entries in the history of every accessory to their files straight away
+IndigoPlatform.prototype.saveHistory = function() {
+    this.accessoryMap.forEach(
+        function(accessory) {
+            if (accessory.history) {
+                accessory.history.flush();
+            }
+        }
+    );
+};
+
+// Adds the light groups, scene switches, buttons and security systems in the configuration to this.foundAccessories and this.accessoryMap
+IndigoPlatform.prototype.addVirtualAccessories = function() {
+    this.lightGroups.forEach(
+        function(lightGroup) {
+            this.addVirtualAccessory("lightGroup:" + lightGroup.name,
+                function(id) {
+                    return new IndigoLightGroupAccessory(this, id, lightGroup);
+                }.bind(this)
+            );
+        }.bind(this)
+    );
+    this.sceneSwitches.forEach(
+        function(sceneSwitch) {
+            this.addVirtualAccessory("scene:" + sceneSwitch.name,
+                function(id) {
+                    return new IndigoSceneSwitchAccessory(this, id, sceneSwitch);
+                }.bind(this)
+            );
+        }.bind(this)
+    );
+    this.buttonGroups.forEach(
+        function(buttonGroup) {
+            this.addVirtualAccessory("buttons:" + buttonGroup.name,
+                function(id) {
+                    return new IndigoButtonAccessory(this, id, buttonGroup);
+                }.bind(this)
+            );
+        }.bind(this)
+    );
+    this.securitySystems.forEach(
+        function(securitySystem) {
+            this.addVirtualAccessory("security:" + securitySystem.name,
+                function(id) {
+                    return new IndigoSecuritySystemAccessory(this, id, securitySystem);
+                }.bind(this)
+            );
+        }.bind(this)
+    );
+};
+
+// Adds a virtual accessory to this.foundAccessories and this.accessoryMap
+// If it already exists, it is refreshed from the latest state of the Indigo items it is built from instead
+// id: the ID of the virtual accessory, which is not an Indigo ID
+// create: invokes create(id) to create the virtual accessory
+IndigoPlatform.prototype.addVirtualAccessory = function(id, create) {
+    var accessory = this.accessoryMap.get(id);
+    if (accessory) {
+        accessory.refreshWatchedItems();
+        this.foundAccessories.push(accessory);
+    } else if (this.isOverAccessoryLimit(id)) {
+        this.overLimitCount++;
+    } else {
+        accessory = create(id);
+        this.log("Adding %s: %s", accessory.type, accessory.name);
+        this.foundAccessories.push(accessory);
+        this.accessoryMap.set(id, accessory);
+    }
+};
+
+// Starts tracking the state of an Indigo item that a virtual accessory is built from
+// id: the Indigo ID of the item, ignored if undefined
+IndigoPlatform.prototype.watchItem = function(id) {
+    if (id !== undefined && id !== null && !this.watchedItems.has(String(id))) {
+        this.watchedItems.set(String(id), {});
+    }
+};
+
+// Records the latest state of an Indigo item that virtual accessories are built from, and updates them to match
+// id: the Indigo ID of the item
+// json: the item's properties from the Indigo RESTful API (or a listener update)
+// deviceURL: optional, the path of the RESTful call for the item
+// returns: true if any virtual accessory is built from the item
+IndigoPlatform.prototype.refreshWatchedItem = function(id, json, deviceURL) {
+    var item = this.watchedItems.get(String(id));
+    if (!item) {
+        return false;
+    }
+    if (deviceURL) {
+        item.deviceURL = deviceURL;
+    }
+    for (var prop in json) {
+        if (json.hasOwnProperty(prop)) {
+            item[prop] = json[prop];
+        }
+    }
+
+    this.accessoryMap.forEach(
+        function(accessory) {
+            if (accessory.watchedIds && accessory.watchedIds.indexOf(String(id)) >= 0) {
+                accessory.refreshWatchedItems();
+            }
+        }
+    );
+    return true;
+};
+
+// Calls the Indigo RESTful API to get the latest state of an Indigo item that virtual accessories are built from,
+// and updates the item's own accessory (if any) and the virtual accessories to match
+// id: the Indigo ID of the item
+// callback: invokes callback(error), error is undefined if no error occurred
+IndigoPlatform.prototype.fetchWatchedItem = function(id, callback) {
+    var item = this.watchedItems.get(String(id));
+    if (!item || !item.deviceURL) {
+        if (callback) {
+            callback("ID " + id + " has not been discovered");
+        }
+        return;
+    }
+    this.indigoRequestJSON(item.deviceURL, "GET", null,
+        function(error, json) {
+            if (!error) {
+                var accessory = this.accessoryMap.get(String(id));
+                if (accessory) {
+                    accessory.refreshFromJSON(json);
+                } else {
+                    this.refreshWatchedItem(id, json);
+                }
+            }
+            if (callback) {
+                callback(error);
+            }
+        }.bind(this)
+    );
+};
+
+// Returns true if the items under an Indigo RESTful API node need to be discovered
+// Actions and variables are discovered if they are included as accessories, or if a scene switch or security system uses them
+// restParent: "devices", "actions" or "variables"
+IndigoPlatform.prototype.includeRestParent = function(restParent) {
+    var usesStateVariable = function(virtualAccessory) {
+        return (virtualAccessory.stateVariableId !== undefined);
+    };
+    if (restParent == "actions") {
+        return Boolean(this.includeActions || this.sceneSwitches.length > 0 ||
+                       this.securitySystems.some(
+                           function(securitySystem) {
+                               return (Object.keys(securitySystem.actionIds || {}).length > 0);
+                           }
+                       ));
+    } else if (restParent == "variables") {
+        return Boolean(this.includeVariables ||
+                       this.sceneSwitches.some(usesStateVariable) ||
+                       this.securitySystems.some(usesStateVariable));
+    }
+    return true;
+};
+
 // Returns true if the item id should be included in the accessory list
 // id: the Indigo ID of the device/action
 IndigoPlatform.prototype.includeItemId = function(id) {
@@ -322,7 +1129,46 @@ IndigoPlatform.prototype.invertOnOffId = function(id) {
     return (this.invertOnOffIds && (this.invertOnOffIds.indexOf(String(id)) >= 0));
 };
 
+// Returns true if the circuit breaker is open, meaning Indigo has stopped responding and requests should fail fast
+// Once CIRCUIT_BREAKER_TIME has passed the circuit is half-open, and a single request is let through
+// to see whether Indigo has recovered, while the others keep failing until its outcome is known
+IndigoPlatform.prototype.isCircuitOpen = function() {
+    return (this.circuitOpenUntil !== undefined && (Date.now() < this.circuitOpenUntil || this.circuitProbing));
+};
+
+// Updates the circuit breaker with the outcome of a request to Indigo, once any retries are over
+// error: the error returned by the request, or undefined if it succeeded
+// probe: true if the request was the one let through by a half-open circuit
+IndigoPlatform.prototype.recordRequestResult = function(error, probe) {
+    if (probe) {
+        this.circuitProbing = false;
+    }
+    if (error) {
+        this.consecutiveFailures++;
+        // A request that was sent before the circuit opened does not restart its timer, but a failed probe does
+        if (this.consecutiveFailures >= IndigoPlatform.CIRCUIT_BREAKER_THRESHOLD &&
+            (this.circuitOpenUntil === undefined || probe)) {
+            this.log("Indigo is not responding (%s), failing requests for the next %d seconds",
+                     error, IndigoPlatform.CIRCUIT_BREAKER_TIME / 1000);
+            this.circuitOpenUntil = Date.now() + IndigoPlatform.CIRCUIT_BREAKER_TIME;
+        }
+    } else {
+        if (this.consecutiveFailures >= IndigoPlatform.CIRCUIT_BREAKER_THRESHOLD) {
+            this.log("Indigo is responding again");
+        }
+        this.consecutiveFailures = 0;
+        this.circuitOpenUntil = undefined;
+    }
+};
+
+// Returns true if the item id should use HomeKit's Adaptive Lighting
+// id: the Indigo ID of the device
+IndigoPlatform.prototype.adaptiveLightingId = function(id) {
+    return (this.adaptiveLightingIds && (this.adaptiveLightingIds.indexOf(String(id)) >= 0));
+};
+
 // Makes a request to Indigo using the RESTful API
+// Requests time out after requestTimeout seconds, and failed GET requests are retried with exponential backoff
 // path: the path of the request, relative to the base URL in the configuration, starting with a /
 // method: the type of HTTP request to make (e.g. GET, POST, etc.)
 // qs: the query string to include in the request (optional)
@@ -342,9 +1188,37 @@ IndigoPlatform.prototype.indigoRequest = function(path, method, qs, callback) {
     if (qs) {
         options.qs = qs;
     }
+    if (this.requestTimeout > 0) {
+        options.timeout = this.requestTimeout * 1000;
+    }
+
+    // Only GET requests are retried, because repeating a PUT or EXECUTE could change state twice
+    // A request counts once towards the circuit breaker, whatever the number of attempts,
+    // and is not retried unless the circuit is closed, so a half-open circuit is only ever tested once
+    var task = { options: options };
+    var attempt = 0;
+    var requestCallback = function(error, response, body) {
+        if (error && method == "GET" && attempt < this.requestRetries && this.circuitOpenUntil === undefined) {
+            var delay = IndigoPlatform.RETRY_DELAY * Math.pow(2, attempt);
+            attempt++;
+            this.log("Retrying Indigo request %s in %d ms: %s", path, delay, error);
+            setTimeout(
+                function() {
+                    this.requestQueue.push(task, requestCallback);
+                }.bind(this),
+            delay);
+            return;
+        }
+        if (task.sent) {
+            this.recordRequestResult(error, task.probe);
+        }
+        if (callback) {
+            callback(error, response, body);
+        }
+    }.bind(this);
 
     // All requests to Indigo are serialized, so that there is no more than one outstanding request at a time
-    this.requestQueue.push(options, callback);
+    this.requestQueue.push(task, requestCallback);
 };
 
 // Makes a request to Indigo using the RESTful API and parses the JSON response
@@ -388,9 +1262,18 @@ IndigoPlatform.prototype.indigoRequestJSON = function(path, method, qs, callback
 IndigoPlatform.prototype.createAccessoryFromJSON = function(deviceURL, json) {
     if (json.restParent == "actions") {
         return new IndigoActionAccessory(this, deviceURL, json);
+    } else if (json.restParent == "variables") {
+        return this.createVariableAccessoryFromJSON(deviceURL, json);
+    } else if (this.accessoryTypes.has(String(json.id))) {
+        return this.createAccessoryOfType(this.accessoryTypes.get(String(json.id)), deviceURL, json);
+    } else if (json.typeSupportsOnOff && this.garageDoors.has(String(json.id))) {
+        return new IndigoGarageDoorAccessory(this, deviceURL, json, this.garageDoors.get(String(json.id)));
     } else if (json.typeSupportsOnOff && this.treatAsSwitchIds &&
                (this.treatAsSwitchIds.indexOf(String(json.id)) >= 0)) {
         return new IndigoSwitchAccessory(this, deviceURL, json);
+    } else if (json.typeSupportsOnOff && this.treatAsOutletIds &&
+               (this.treatAsOutletIds.indexOf(String(json.id)) >= 0)) {
+        return new IndigoOutletAccessory(this, deviceURL, json);
     } else if (json.typeSupportsOnOff && this.treatAsLockIds &&
                (this.treatAsLockIds.indexOf(String(json.id)) >= 0)) {
         return new IndigoLockAccessory(this, deviceURL, json);
@@ -406,16 +1289,46 @@ IndigoPlatform.prototype.createAccessoryFromJSON = function(deviceURL, json) {
     } else if (json.typeSupportsOnOff && this.treatAsContactSensorIds &&
                (this.treatAsContactSensorIds.indexOf(String(json.id)) >= 0)) {
         return new IndigoContactSensorAccessory(this, deviceURL, json);
+    } else if (json.typeSupportsOnOff && this.treatAsLeakSensorIds &&
+               (this.treatAsLeakSensorIds.indexOf(String(json.id)) >= 0)) {
+        return new IndigoLeakSensorAccessory(this, deviceURL, json);
+    } else if (json.typeSupportsOnOff && this.treatAsSmokeSensorIds &&
+               (this.treatAsSmokeSensorIds.indexOf(String(json.id)) >= 0)) {
+        return new IndigoSmokeSensorAccessory(this, deviceURL, json);
+    } else if (json.typeSupportsOnOff && this.treatAsCarbonMonoxideSensorIds &&
+               (this.treatAsCarbonMonoxideSensorIds.indexOf(String(json.id)) >= 0)) {
+        return new IndigoCarbonMonoxideSensorAccessory(this, deviceURL, json);
+    } else if (json.typeSupportsOnOff && this.treatAsOccupancySensorIds &&
+               (this.treatAsOccupancySensorIds.indexOf(String(json.id)) >= 0)) {
+        return new IndigoOccupancySensorAccessory(this, deviceURL, json);
+    } else if (this.treatAsDoorbellIds &&
+               (this.treatAsDoorbellIds.indexOf(String(json.id)) >= 0)) {
+        return new IndigoDoorbellAccessory(this, deviceURL, json);
+    } else if (this.treatAsTemperatureSensorIds &&
+               (this.treatAsTemperatureSensorIds.indexOf(String(json.id)) >= 0)) {
+        return this.createSensorAccessory("temperature", deviceURL, json);
+    } else if (this.treatAsHumiditySensorIds &&
+               (this.treatAsHumiditySensorIds.indexOf(String(json.id)) >= 0)) {
+        return this.createSensorAccessory("humidity", deviceURL, json);
+    } else if (this.treatAsLightSensorIds &&
+               (this.treatAsLightSensorIds.indexOf(String(json.id)) >= 0)) {
+        return this.createSensorAccessory("light", deviceURL, json);
     } else if (json.typeSupportsOnOff && this.treatAsWindowIds &&
                (this.treatAsWindowIds.indexOf(String(json.id)) >= 0)) {
         return new IndigoWindowAccessory(this, deviceURL, json);
     } else if (json.typeSupportsOnOff && this.treatAsWindowCoveringIds &&
                (this.treatAsWindowCoveringIds.indexOf(String(json.id)) >= 0)) {
         return new IndigoWindowCoveringAccessory(this, deviceURL, json);
+    } else if (this.detectSprinklers && this.isSprinklerType(json)) {
+        return new IndigoIrrigationAccessory(this, deviceURL, json);
     } else if (json.typeSupportsHVAC || json.typeIsHVAC) {
         return new IndigoThermostatAccessory(this, deviceURL, json, this.thermostatsInCelsius);
     } else if (json.typeSupportsSpeedControl || json.typeIsSpeedControl) {
         return new IndigoFanAccessory(this, deviceURL, json);
+    } else if (this.detectSensors && this.guessSensorType(json)) {
+        return this.createSensorAccessory(this.guessSensorType(json), deviceURL, json);
+    } else if (this.detectOutlets && this.isOutletType(json)) {
+        return new IndigoOutletAccessory(this, deviceURL, json);
     } else if (json.typeSupportsDim || json.typeIsDimmer || json.typeSupportsOnOff) {
         return new IndigoLightAccessory(this, deviceURL, json);
     } else {
@@ -423,1515 +1336,5081 @@ IndigoPlatform.prototype.createAccessoryFromJSON = function(deviceURL, json) {
     }
 };
 
-// Invoked by a GET request on listenPort of /devices/:id
-// If the ID corresponds to an accessory, invokes refresh() on that accessory
-// Sends a 200 HTTP response if successful, a 404 if the ID is not found, or a 500 if there is an error
-IndigoPlatform.prototype.updateAccessory = function(request, response) {
-    var id = String(request.params.id);
-    this.log("Got update request for device ID %s", id);
-    var accessory = this.accessoryMap.get(id);
-    if (accessory) {
-        accessory.refresh(function(error) {
-            if (error) {
-                this.log("Error updating device ID %s: %s", id, error);
-                response.sendStatus(500);
-            } else {
-                response.sendStatus(200);
-            }
-        }.bind(this));
-    }
-    else {
-        response.sendStatus(404);
+// Creates an accessory of a type named in the configuration (e.g. the members of a composite accessory)
+// type: "switch", "outlet", "lock", "door", "garageDoor", "window", "windowCovering", "motionSensor", "contactSensor",
+//       "leakSensor", "smokeSensor", "carbonMonoxideSensor", "occupancySensor", "doorbell", "temperatureSensor",
+//       "humiditySensor", "lightSensor", "thermostat", "fan", "irrigation" or "light"
+// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
+// json: the json that describes this device
+// returns: the IndigoAccessory, or null if the type is unknown
+IndigoPlatform.prototype.createAccessoryOfType = function(type, deviceURL, json) {
+    switch (type) {
+        case "switch":
+            return new IndigoSwitchAccessory(this, deviceURL, json);
+        case "outlet":
+            return new IndigoOutletAccessory(this, deviceURL, json);
+        case "lock":
+            return new IndigoLockAccessory(this, deviceURL, json);
+        case "door":
+            return new IndigoDoorAccessory(this, deviceURL, json);
+        case "garageDoor":
+            return new IndigoGarageDoorAccessory(this, deviceURL, json, this.garageDoors.get(String(json.id)));
+        case "window":
+            return new IndigoWindowAccessory(this, deviceURL, json);
+        case "windowCovering":
+            return new IndigoWindowCoveringAccessory(this, deviceURL, json);
+        case "motionSensor":
+            return new IndigoMotionSensorAccessory(this, deviceURL, json);
+        case "contactSensor":
+            return new IndigoContactSensorAccessory(this, deviceURL, json);
+        case "leakSensor":
+            return new IndigoLeakSensorAccessory(this, deviceURL, json);
+        case "smokeSensor":
+            return new IndigoSmokeSensorAccessory(this, deviceURL, json);
+        case "carbonMonoxideSensor":
+            return new IndigoCarbonMonoxideSensorAccessory(this, deviceURL, json);
+        case "occupancySensor":
+            return new IndigoOccupancySensorAccessory(this, deviceURL, json);
+        case "doorbell":
+            return new IndigoDoorbellAccessory(this, deviceURL, json);
+        case "temperatureSensor":
+            return this.createSensorAccessory("temperature", deviceURL, json);
+        case "humiditySensor":
+            return this.createSensorAccessory("humidity", deviceURL, json);
+        case "lightSensor":
+            return this.createSensorAccessory("light", deviceURL, json);
+        case "thermostat":
+            return new IndigoThermostatAccessory(this, deviceURL, json, this.thermostatsInCelsius);
+        case "fan":
+            return new IndigoFanAccessory(this, deviceURL, json);
+        case "irrigation":
+            return new IndigoIrrigationAccessory(this, deviceURL, json);
+        case "light":
+            return new IndigoLightAccessory(this, deviceURL, json);
+        default:
+            this.log("Unknown accessory type %s for ID %s", type, json.id);
+            return null;
     }
 };
 
-// Invoked by a POST request to listenPort of /devices/:id
-// If the ID corresponds to an accessory, invokes refreshFromJSON() on that accessory with the POST body content (JSON)
-// Unknown properties in the post body are silently ignored
-// Sends a 200 HTTP response if successful, or a 404 if the ID is not found
-IndigoPlatform.prototype.updateAccessoryFromPost = function(request, response) {
-    var id = String(request.params.id);
-    this.log("Got update request for device ID %s", id);
-    var accessory = this.accessoryMap.get(id);
-    if (accessory) {
-        accessory.refreshFromJSON(request.body);
-        response.sendStatus(200);
+// Returns true if any accessories are configured to be polled for state changes
+IndigoPlatform.prototype.isPolling = function() {
+    if (this.pollInterval > 0) {
+        return true;
     }
-    else {
-        response.sendStatus(404);
+    for (var type in this.pollIntervals) {
+        if (this.pollIntervals.hasOwnProperty(type) && this.pollIntervals[type] > 0) {
+            return true;
+        }
     }
+    return false;
 };
 
-
-//
-// Generic Indigo Accessory
-//
-// platform: the HomeKit platform
-// serviceType: the constructor for the type of HAP service to create
-// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
-// json: the json that describes this device
-//
-function IndigoAccessory(platform, serviceType, deviceURL, json) {
-    this.platform = platform;
-    this.log = platform.log;
-    this.deviceURL = deviceURL;
-
-    this.updateFromJSON(json);
-
-    this.invertOnOff = platform.invertOnOffId(this.id);
-    if (this.invertOnOff) {
-        this.log("%s: Inverting on/off for this device", this.name);
+// Returns the number of seconds between polls of an accessory, or 0 if it should not be polled
+// accessory: the IndigoAccessory
+IndigoPlatform.prototype.getPollInterval = function(accessory) {
+    // Actions and buttons have no state to poll
+    if (accessory.restParent == "actions" || accessory instanceof IndigoButtonAccessory) {
+        return 0;
     }
-
-    Accessory.call(this, this.name, uuid.generate(String(this.id)));
-
-    this.infoService = this.getService(Service.AccessoryInformation);
-    this.infoService.setCharacteristic(Characteristic.Manufacturer, "Indigo")
-        .setCharacteristic(Characteristic.SerialNumber, String(this.id));
-
-    if (this.type) {
-        this.infoService.setCharacteristic(Characteristic.Model, this.type);
+    if (this.pollIntervals.hasOwnProperty(accessory.type)) {
+        return Number(this.pollIntervals[accessory.type]);
     }
+    return this.pollInterval;
+};
 
-    if (this.versByte) {
-        this.infoService.setCharacteristic(Characteristic.FirmwareRevision, this.versByte);
-    }
+// Polls every accessory in this.accessoryMap whose poll interval has elapsed, then schedules the next check
+// Each accessory's poll() fetches its restURL and feeds the result through refreshFromJSON(), so changes reach HomeKit
+// If Indigo responds slowly or with errors, the poll intervals are stretched until it recovers
+IndigoPlatform.prototype.pollAccessories = function() {
+    var now = Date.now();
+    var dueAccessories = [];
+    this.accessoryMap.forEach(
+        function(accessory) {
+            var interval = this.getPollInterval(accessory) * this.pollBackoff * 1000;
+            if (interval > 0 && (accessory.lastPollTime === undefined || now - accessory.lastPollTime >= interval)) {
+                dueAccessories.push(accessory);
+            }
+        }.bind(this)
+    );
 
-    this.service = this.addService(serviceType, this.name);
-}
+    var startTime = Date.now();
+    var errorCount = 0;
+    async.eachSeries(dueAccessories,
+        function(accessory, asyncCallback) {
+            accessory.lastPollTime = Date.now();
+            accessory.poll(
+                function(error) {
+                    if (error) {
+                        errorCount++;
+                    }
+                    asyncCallback();
+                }
+            );
+        }.bind(this),
+        function() {
+            if (dueAccessories.length > 0) {
+                this.adjustPollBackoff(errorCount, (Date.now() - startTime) / dueAccessories.length);
+            }
+            setTimeout(this.pollAccessories.bind(this), IndigoPlatform.POLL_TICK);
+        }.bind(this)
+    );
+};
 
-// A set context that indicates this is from an update made by this plugin, so do not call the Indigo RESTful API with a put request
-IndigoAccessory.REFRESH_CONTEXT = 'refresh';
+// Stretches the poll intervals if Indigo is slow or failing, and shrinks them back once it is responsive again
+// errorCount: the number of failed requests in the last round of polling
+// averageResponseTime: the average time (in milliseconds) Indigo took to respond in the last round of polling
+IndigoPlatform.prototype.adjustPollBackoff = function(errorCount, averageResponseTime) {
+    var backoff = this.pollBackoff;
+    if (errorCount > 0 || averageResponseTime > IndigoPlatform.POLL_SLOW_RESPONSE) {
+        backoff = Math.min(backoff * 2, IndigoPlatform.POLL_MAX_BACKOFF);
+    } else if (backoff > 1) {
+        backoff = backoff / 2;
+    }
+    if (backoff != this.pollBackoff) {
+        this.log("Indigo average response time %d ms with %d errors, poll intervals are now %dx",
+                 Math.round(averageResponseTime), errorCount, backoff);
+        this.pollBackoff = backoff;
+    }
+};
 
+// Returns subclass of IndigoAccessory for an Indigo variable, or null if the variable has no known mapping
+// The mapping comes from variableTypes in the configuration, and defaults to a switch for boolean-like values
+// deviceURL: the path of the RESTful call for this variable, relative to the base URL in the configuration, starting with a /
+// json: the json that describes this variable
+IndigoPlatform.prototype.createVariableAccessoryFromJSON = function(deviceURL, json) {
+    var variableType;
+    if (this.variableTypes) {
+        variableType = this.variableTypes[String(json.id)];
+    }
+    if (variableType === undefined && IndigoVariableSwitchAccessory.isBooleanLike(json.value)) {
+        variableType = "switch";
+    }
 
-// Returns the HomeKit services that this accessory supports
-IndigoAccessory.prototype.getServices = function() {
-    return this.services;
+    if (variableType == "switch") {
+        return new IndigoVariableSwitchAccessory(this, deviceURL, json);
+    } else {
+        return this.createSensorAccessory(variableType, deviceURL, json, "value");
+    }
 };
 
-// Updates the Accessory's properties with values from JSON from the Indigo RESTful API
-// json: JSON object from the Indigo RESTful API
-// updateCallback: optional, invokes updateCallback(propertyName, propertyValue) for each property that has changed value
-IndigoAccessory.prototype.updateFromJSON = function(json, updateCallback) {
-    for (var prop in json) {
-        if (prop != "name" && json.hasOwnProperty(prop)) {
-            if (json[prop] != this[prop]) {
-                this[prop] = json[prop];
-                if (updateCallback) {
-                    updateCallback(prop, json[prop]);
-                }
-            }
-        }
+// Returns "temperature", "humidity" or "light" if a device with a sensor value looks like that type of sensor
+// based on its Indigo device type, or undefined if it does not
+// json: the json that describes this device
+IndigoPlatform.prototype.guessSensorType = function(json) {
+    if (json.sensorValue === undefined) {
+        return undefined;
+    }
+    var type = String(json.type).toLowerCase();
+    if (type.indexOf("temperature") >= 0 || type.indexOf("thermometer") >= 0) {
+        return "temperature";
+    } else if (type.indexOf("humidity") >= 0) {
+        return "humidity";
+    } else if (type.indexOf("luminance") >= 0 || type.indexOf("light level") >= 0) {
+        return "light";
     }
+    return undefined;
+};
 
-    // Allows us to change the name of accessories - useful for testing
-    if (json.name !== undefined) {
-        this.name = this.platform.accessoryNamePrefix + String(json.name);
+// Returns true if an on/off device looks like an appliance module or outlet, based on its Indigo device type
+// json: the json that describes this device
+IndigoPlatform.prototype.isOutletType = function(json) {
+    if (!json.typeSupportsOnOff || json.typeSupportsDim || json.typeIsDimmer) {
+        return false;
     }
+    var type = String(json.type).toLowerCase();
+    return (type.indexOf("appliance") >= 0 || type.indexOf("outlet") >= 0 || type.indexOf("plug") >= 0);
 };
 
-// Calls the Indigo RESTful API to get the latest state for this Accessory, and updates the Accessory's properties to match
-// callback: invokes callback(error), error is undefined if no error occurred
-// updateCallback: optional, invokes updateCallback(propertyName, propertyValue) for each property that has changed value
-IndigoAccessory.prototype.getStatus = function(callback, updateCallback) {
-    this.platform.indigoRequestJSON(this.deviceURL, "GET", null,
-        function(error, json) {
-            if (error) {
-                if (callback) {
-                    callback(error);
-                }
-            } else {
-                this.updateFromJSON(json, updateCallback);
-                if (callback) {
-                    callback();
-                }
-            }
-        }.bind(this)
-    );
+// Returns true if the device is a sprinkler controller, which Indigo describes with its zones
+// json: the json that describes this device
+IndigoPlatform.prototype.isSprinklerType = function(json) {
+    return (json.zoneNames !== undefined || json.zoneCount !== undefined);
 };
 
-// Calls the Indigo RESTful API to alter the state of this Accessory, and updates the Accessory's properties to match
-// qs: the query string parameters to send to the Indigo RESTful API via a PUT request
-// callback: invokes callback(error), error is undefined if no error occurred
-// updateCallback: optional, invokes updateCallback(propertyName, propertyValue) for each property that has changed value
-IndigoAccessory.prototype.updateStatus = function(qs, callback, updateCallback) {
-    this.log("updateStatus of %s: %s", this.name, JSON.stringify(qs));
-    this.platform.indigoRequest(this.deviceURL, "PUT", qs,
-        function(error, response, body) {
+// Returns subclass of IndigoSensorAccessory for the type of sensor, or null if unsupported type
+// sensorType: "temperature", "humidity" or "light"
+// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
+// json: the json that describes this device
+// valueKey: the JSON key of the sensor's value (optional, defaults to the key in sensorValueKeys, or "sensorValue")
+IndigoPlatform.prototype.createSensorAccessory = function(sensorType, deviceURL, json, valueKey) {
+    if (!valueKey && this.sensorValueKeys) {
+        valueKey = this.sensorValueKeys[String(json.id)];
+    }
+    if (sensorType == "temperature") {
+        return new IndigoTemperatureSensorAccessory(this, deviceURL, json, valueKey);
+    } else if (sensorType == "humidity") {
+        return new IndigoHumiditySensorAccessory(this, deviceURL, json, valueKey);
+    } else if (sensorType == "light") {
+        return new IndigoLightSensorAccessory(this, deviceURL, json, valueKey);
+    } else {
+        return null;
+    }
+};
+
+// Invoked by a GET request on listenPort of /devices/:id or /variables/:id
+// If the ID corresponds to an accessory, invokes refresh() on that accessory
+// Sends a 200 HTTP response if successful, a 404 if the ID is not found, or a 500 if there is an error
+IndigoPlatform.prototype.updateAccessory = function(request, response) {
+    var id = String(request.params.id);
+    this.log("Got update request for device ID %s", id);
+    var accessory = this.accessoryMap.get(id);
+    if (accessory) {
+        accessory.refresh(function(error) {
             if (error) {
-                if (callback) {
-                    callback(error);
-                }
+                this.log("Error updating device ID %s: %s", id, error);
+                response.sendStatus(500);
             } else {
-                this.getStatus(callback, updateCallback);
+                response.sendStatus(200);
             }
-        }.bind(this)
-    );
-};
-// Calls the Indigo RESTful API to get the latest state of this Accessory, and updates the Accessory's properties to match
-// key: the property we are interested in
-// callback: invokes callback(error, value), error is undefined if no error occurred, value is the value of the property named key
-IndigoAccessory.prototype.query = function(key, callback) {
-    this.getStatus(
-        function(error) {
+        }.bind(this));
+    }
+    else if (this.watchedItems.has(id)) {
+        this.fetchWatchedItem(id, function(error) {
             if (error) {
-                if (callback) {
-                    callback(error);
-                }
+                this.log("Error updating device ID %s: %s", id, error);
+                response.sendStatus(500);
             } else {
-                this.log("%s: query(%s) => %s", this.name, key, this[key]);
-                if (callback) {
-                    callback(undefined, this[key]);
-                }
+                response.sendStatus(200);
             }
-        }.bind(this)
-    );
+        }.bind(this));
+    }
+    else {
+        response.sendStatus(404);
+    }
 };
 
-// Invokes the Accessory's update_XXX(value) function, if it exists, where "XXX" is the value of prop
-// For example, updateProperty("brightness", 100) invokes update_brightness(100) if the function update_brightess exists
-// prop: the property name
-// value: the property value
-// TODO: Need a more elegant way to map HomeKit Characteristics and values to Indigo JSON keys and values
-IndigoAccessory.prototype.updateProperty = function(prop, value) {
-    updateFunction = "update_" + prop;
-    if (this[updateFunction]) {
-        this.log("%s: %s(%s)", this.name, updateFunction, value);
-        this[updateFunction](value);
+// Invoked by a POST request to listenPort of /devices/:id or /variables/:id
+// If the ID corresponds to an accessory, invokes refreshFromJSON() on that accessory with the POST body content (JSON)
+// Unknown properties in the post body are silently ignored
+// Sends a 200 HTTP response if successful, or a 404 if the ID is not found
+IndigoPlatform.prototype.updateAccessoryFromPost = function(request, response) {
+    var id = String(request.params.id);
+    this.log("Got update request for device ID %s", id);
+    var accessory = this.accessoryMap.get(id);
+    if (accessory) {
+        accessory.refreshFromJSON(request.body);
+        response.sendStatus(200);
+    }
+    else if (this.refreshWatchedItem(id, request.body)) {
+        response.sendStatus(200);
+    }
+    else {
+        response.sendStatus(404);
     }
 };
 
-// Calls the Indigo RESTful API to get the latest state of this Accessory, and updates the Accessory's properties to match
-// Invokes the Accessory's update_KEY function for each property KEY where the value has changed from the prior cached state
-// If the Accessory does not have an update_KEY function for a given KEY, it is safely ignored
-// This is used when we are listening on the listenPort for notifications from Indigo about devices that have changed state
-// callback: invokes callback(error), error is undefined if no error occurred
-IndigoAccessory.prototype.refresh = function(callback) {
-    this.log("%s: refresh()", this.name);
-    this.getStatus(callback, this.updateProperty.bind(this));
+// Invoked by a GET or POST request to listenPort of /buttons/:id/:event
+// Fires a single, double or long press of the button with that ID, for use by HomeKit automations
+// Sends a 200 HTTP response if successful, a 404 if the button ID is not found, or a 400 if the event is unknown
+IndigoPlatform.prototype.pressButton = function(request, response) {
+    var id = String(request.params.id);
+    var event = String(request.params.event);
+    this.log("Got %s press for button ID %s", event, id);
+    var buttonAccessory;
+    this.accessoryMap.forEach(
+        function(accessory) {
+            if (accessory instanceof IndigoButtonAccessory && accessory.hasButton(id)) {
+                buttonAccessory = accessory;
+            }
+        }
+    );
+    if (!buttonAccessory) {
+        response.sendStatus(404);
+    }
+    else if (!IndigoButtonAccessory.EVENTS.hasOwnProperty(event)) {
+        response.sendStatus(400);
+    }
+    else {
+        buttonAccessory.pressButton(id, event);
+        response.sendStatus(200);
+    }
 };
 
-// Updates the Accessory's properties to match the provided JSON key/value pairs
-// Invokes the Accessory's update_KEY function for each property KEY where the value has changed from the prior cached state
-// If the Accessory does not have an update_KEY function for a given KEY, it is safely ignored
-// This is used when we are listening on the listenPort for notifications from Indigo about devices that have changed state
-// json: the JSON key/value pairs to update
-IndigoAccessory.prototype.refreshFromJSON = function(json) {
-    this.log("%s: refreshFromJSON()", this.name);
-    this.updateFromJSON(json, this.updateProperty.bind(this));
+// Invoked by a GET or POST request to listenPort of /doorbells/:id
+// Rings the doorbell accessory with that Indigo ID, for Indigo triggers that do not turn the device on
+// Sends a 200 HTTP response if successful, or a 404 if the ID is not a doorbell
+IndigoPlatform.prototype.ringDoorbell = function(request, response) {
+    var id = String(request.params.id);
+    this.log("Got doorbell request for device ID %s", id);
+    var accessory = this.accessoryMap.get(id);
+    if (accessory instanceof IndigoDoorbellAccessory) {
+        accessory.ring();
+        response.sendStatus(200);
+    }
+    else {
+        response.sendStatus(404);
+    }
 };
 
+// Invoked by a GET or POST request to listenPort of /securitysystems/:name/:state
+// Sets the state of the security system with that name in the configuration, for alarm panels whose
+// state is not in an Indigo device or variable, or to report that the alarm has been triggered
+// Sends a 200 HTTP response if successful, a 404 if there is no such security system, or a 400 if the state is unknown
+IndigoPlatform.prototype.reportSecurityState = function(request, response) {
+    var name = String(request.params.name);
+    var state = String(request.params.state);
+    this.log("Got %s state for security system %s", state, name);
+    var securityAccessory;
+    this.accessoryMap.forEach(
+        function(accessory) {
+            if (accessory instanceof IndigoSecuritySystemAccessory && accessory.securityName == name) {
+                securityAccessory = accessory;
+            }
+        }
+    );
+    if (!securityAccessory) {
+        response.sendStatus(404);
+    }
+    else if (IndigoSecuritySystemAccessory.STATES.indexOf(state) < 0) {
+        response.sendStatus(400);
+    }
+    else {
+        securityAccessory.setSecurityState(state);
+        response.sendStatus(200);
+    }
+};
 
-// Conversions that support inverted definitions of on/off and brightness
 
-// Converts the value of Indigo's isOn parameter to some other constants representing on and off.
-// isOn: Evaluated as a boolean
-// onValue: Value to return for true
-// offValue: Value to return for false
-// Returns onValue if isOn evaluates to true, and offValue if isOn evaluates to false.
-// NOTE: If this accessory is configured to invert on/off values, onValue is returned if isOn evaluates to false,
-// and offValue is returned if isOn evaluates to true.
-IndigoAccessory.prototype.convertIsOnToValue = function(isOn, onValue, offValue) {
-    if (this.invertOnOff) {
-        return ((isOn) ? offValue : onValue);
-    } else {
-        return ((isOn) ? onValue : offValue);
-    }
-}
+//
+// Eve History - records an accessory's values in a file, and serves them to the Eve app
+// using the history protocol of Eve's own accessories
+//
+// platform: the HomeKit platform
+// name: the name of the accessory, for logging
+// fields: array of the names of the values to record (see IndigoHistory.FIELDS)
+// file: the path of the file that holds the history
+//
+function IndigoHistory(platform, name, fields, file) {
+    this.platform = platform;
+    this.log = platform.log;
+    this.name = name;
+    this.file = file;
 
-// Converts the value of Indigo's isOn parameter to a boolean value.  Returns true or false.
-// isOn: Evaluated as a boolean
-// Returns true if isOn evaluates to true, and false if isOn evaluates to false.
-// NOTE: If this accessory is configured to invert on/off values, true is returned if isOn evaluates to false,
-// and false is returned if isOn evaluates to true.
-IndigoAccessory.prototype.convertIsOnToBoolean = function(isOn) {
-    return this.convertIsOnToValue(isOn, true, false);
+    // The Eve app expects the values of each entry in the order of their signatures
+    this.fields = fields.slice().sort(
+        function(a, b) {
+            return (IndigoHistory.FIELDS[a].signature < IndigoHistory.FIELDS[b].signature) ? -1 : 1;
+        }
+    );
+
+    // Entry 1 marks the reference time that the times of all other entries are relative to,
+    // and entries are numbered consecutively after it, so this.entries[0] is entry number this.firstEntry
+    this.refTime = Math.round(Date.now() / 1000) - IndigoAccessory.EVE_EPOCH;
+    this.firstEntry = 2;
+    this.entries = [];
+    this.load();
 }
 
-// Converts a boolean expression to Indigo's isOn parameter values.  Returns 1 or 0.
-// b: Evaluated as a boolean
-// Returns 1 if b evaluates to true, and 0 if b evaluates to false.
-// NOTE: If this accessory is configured to invert on/off values, 1 is returned if b evaluates to false,
-// and 0 is returned if b evaluates to true.
-IndigoAccessory.prototype.convertBooleanToIsOn = function(b) {
-    if (this.invertOnOff) {
-        return ((b) ? 0 : 1);
-    } else {
-        return ((b) ? 1 : 0);
+// Values that the Eve app can show a history of, with their signature in the Eve history protocol,
+// their size in bytes, and the factor that they are multiplied by to make them integers
+IndigoHistory.FIELDS = {
+    temperature: { signature: "0102", size: 2, factor: 100 },
+    humidity: { signature: "0202", size: 2, factor: 100 },
+    contact: { signature: "0601", size: 1, factor: 1 },
+    power: { signature: "0702", size: 2, factor: 10 },
+    motion: { signature: "1c01", size: 1, factor: 1 }
+};
+// How often (in milliseconds) the values of every accessory with a history are recorded
+IndigoHistory.INTERVAL = 600000;
+// Minimum time (in milliseconds) between writes of a history's file, so new entries are written in batches
+IndigoHistory.SAVE_INTERVAL = 600000;
+// Maximum number of entries that the Eve history protocol can address
+IndigoHistory.MAX_ENTRIES = 65535;
+// Maximum number of entries sent to the Eve app in a single read
+IndigoHistory.ENTRIES_PER_READ = 11;
+
+// Returns the path of the file that holds the history of an accessory
+// IDs of virtual accessories can contain characters that are not allowed in file names,
+// so any character other than a letter, digit, underscore, dot or hyphen is replaced by its hex code
+// storagePath: homebridge's storage directory
+// id: the ID of the accessory
+IndigoHistory.getFile = function(storagePath, id) {
+    var name = String(id).replace(/[^\w.-]/g,
+        function(c) {
+            return "%" + ("000" + c.charCodeAt(0).toString(16)).slice(-4);
+        }
+    );
+    return path.join(storagePath, "indigo-history-" + name + ".json");
+};
+
+// Deletes a history file, e.g. when its accessory has been removed
+// log: function for logging errors
+// file: the path of the file
+IndigoHistory.deleteFile = function(log, file) {
+    fs.unlink(file,
+        function(error) {
+            if (error && error.code != "ENOENT") {
+                log("Error deleting history file %s: %s", file, error);
+            }
+        }
+    );
+};
+
+// Converts an integer to the little-endian hex used by the Eve history protocol
+// value: the integer (negative values are sent as two's complement)
+// size: the number of bytes to convert it to
+function toEveHex(value, size) {
+    var n = Math.round(value);
+    var hex = "";
+    for (var i = 0; i < size; i++) {
+        hex += ("0" + ((n >>> (8 * i)) & 0xFF).toString(16)).slice(-2);
     }
+    return hex;
 }
 
-// Converts a brightness value to a possibly inverted value.
-// brightness: The brightness value, between 0 (fully dark) and 100 (fully bright)
-// Returns the brightness value
-// NOTE: If this accessory is configured to invert on/off values, then 0 becomes fully bright and 100 becomes
-// fully dark, so the inverted brightness value is returned.
-IndigoAccessory.prototype.convertBrightness = function(brightness) {
-    if (this.invertOnOff) {
-        return (100 - brightness);
-    } else {
-        return (brightness);
+// Converts the little-endian hex used by the Eve history protocol to an unsigned integer
+// hex: the hex string
+function fromEveHex(hex) {
+    var n = 0;
+    for (var i = hex.length - 2; i >= 0; i -= 2) {
+        n = n * 256 + parseInt(hex.substr(i, 2), 16);
     }
+    return n;
 }
 
+// Returns the number of the most recent entry (which is the reference time entry if there are no entries)
+IndigoHistory.prototype.getLastEntry = function() {
+    return this.firstEntry + this.entries.length - 1;
+};
 
-// Most accessories support on/off, so we include helper functions to get/set onState here
+// Reads the history from its file, if it has one
+IndigoHistory.prototype.load = function() {
+    try {
+        var data = JSON.parse(fs.readFileSync(this.file, "utf8"));
+        this.refTime = data.refTime;
+        this.firstEntry = data.firstEntry;
+        this.entries = data.entries;
+        this.log("%s: Loaded %d history entries", this.name, this.entries.length);
+    } catch (e) {
+        if (e.code != "ENOENT") {
+            this.log("%s: Ignoring unreadable history file %s: %s", this.name, this.file, e);
+        }
+    }
+};
 
-// Get the current on/off state of the accessory
-// callback: invokes callback(error, onState)
-//           error: error message or undefined if no error
-//           onState: true if device is on, false otherwise
-IndigoAccessory.prototype.getOnState = function(callback) {
-    if (this.typeSupportsOnOff) {
-        this.getStatus(
-            function(error) {
-                if (error) {
-                    if (callback) {
-                        callback(error);
-                    }
-                } else {
-                    var onState = this.convertIsOnToBoolean(this.isOn);
-                    this.log("%s: getOnState() => %s", this.name, onState);
-                    if (callback) {
-                        callback(undefined, onState);
-                    }
-                }
-            }.bind(this)
+// Returns the contents of the history's file
+IndigoHistory.prototype.getFileData = function() {
+    return JSON.stringify({
+        refTime: this.refTime,
+        firstEntry: this.firstEntry,
+        entries: this.entries
+    });
+};
+
+// Writes the history to its file once SAVE_INTERVAL has passed, unless a write is already due
+IndigoHistory.prototype.scheduleSave = function() {
+    if (!this.saveTimer) {
+        this.saveTimer = setTimeout(
+            function() {
+                this.saveTimer = undefined;
+                this.save();
+            }.bind(this),
+            IndigoHistory.SAVE_INTERVAL
         );
     }
-    else if (callback) {
-        callback("Accessory does not support on/off");
-    }
 };
 
-// Set the current on/off state of the accessory
-// onState: true if on, false otherwise
-// callback: invokes callback(error), error is undefined if no error occurred
-// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, otherwise will
-IndigoAccessory.prototype.setOnState = function(onState, callback, context) {
-    this.log("%s: setOnState(%s)", this.name, onState);
-    if (context == IndigoAccessory.REFRESH_CONTEXT) {
-        if (callback) {
-            callback();
+// Writes the history to its file straight away if a write is due, e.g. when homebridge is shutting down
+IndigoHistory.prototype.flush = function() {
+    if (this.saveTimer) {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = undefined;
+        try {
+            fs.writeFileSync(this.file, this.getFileData());
+        } catch (e) {
+            this.log("%s: Error writing history file %s: %s", this.name, this.file, e);
         }
-    } else if (this.typeSupportsOnOff) {
-        this.updateStatus({ isOn: this.convertBooleanToIsOn(onState) }, callback);
-    } else if (callback) {
-        callback("Accessory does not support on/off");
     }
 };
 
-
-//
-// Indigo Switch Accessory - Represents an on/off switch
-//
-// platform: the HomeKit platform
-// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
-// json: the json that describes this device
-//
-function IndigoSwitchAccessory(platform, deviceURL, json) {
-    IndigoAccessory.call(this, platform, Service.Switch, deviceURL, json);
-
-    this.service.getCharacteristic(Characteristic.On)
-        .on('get', this.getOnState.bind(this))
-        .on('set', this.setOnState.bind(this));
-}
-
-// Update HomeKit state to match state of Indigo's isOn property
-// isOn: new value of isOn property
-IndigoSwitchAccessory.prototype.update_isOn = function(isOn) {
-    this.service.getCharacteristic(Characteristic.On)
-        .setValue(this.convertIsOnToBoolean(isOn), undefined, IndigoAccessory.REFRESH_CONTEXT);
-};
-
-
-//
-// Indigo Lock Accessory - Represents a lock mechanism
-//
-// platform: the HomeKit platform
-// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
-// json: the json that describes this device
-//
-function IndigoLockAccessory(platform, deviceURL, json) {
-    IndigoAccessory.call(this, platform, Service.LockMechanism, deviceURL, json);
-
-    this.service.getCharacteristic(Characteristic.LockCurrentState)
-        .on('get', this.getLockCurrentState.bind(this));
-
-    this.service.getCharacteristic(Characteristic.LockTargetState)
-        .on('get', this.getLockTargetState.bind(this))
-        .on('set', this.setLockTargetState.bind(this));
-}
-
-// Get the current lock state of the accessory
-// callback: invokes callback(error, lockState)
-//           error: error message or undefined if no error
-//           lockState: Characteristic.LockCurrentState.SECURED (device on) or Characteristic.LockCurrentState.UNSECURED (device off)
-IndigoLockAccessory.prototype.getLockCurrentState = function(callback) {
-    if (this.typeSupportsOnOff) {
-        this.getStatus(
-            function(error) {
-                if (error) {
-                    if (callback) {
-                        callback(error);
-                    }
-                } else {
-                    var lockState = this.convertIsOnToValue(this.isOn, Characteristic.LockCurrentState.SECURED, Characteristic.LockCurrentState.UNSECURED);
-                    this.log("%s: getLockCurrentState() => %s", this.name, lockState);
-                    if (callback) {
-                        callback(undefined, lockState);
-                    }
-                }
-            }.bind(this)
-        );
+// Stops writing the history, and deletes its file
+// If a write is in progress, the file is deleted once it has finished
+IndigoHistory.prototype.remove = function() {
+    this.removed = true;
+    if (this.saveTimer) {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = undefined;
     }
-    else if (callback) {
-        callback("Accessory does not support on/off");
+    if (!this.saving) {
+        IndigoHistory.deleteFile(this.log, this.file);
     }
 };
 
-// Get the target lock state of the accessory
-// callback: invokes callback(error, lockState)
-//           error: error message or undefined if no error
-//           lockState: Characteristic.LockTargetState.SECURED (device on) or Characteristic.LockTargetState.UNSECURED (device off)
-IndigoLockAccessory.prototype.getLockTargetState = function(callback) {
-    if (this.typeSupportsOnOff) {
-        this.getStatus(
-            function(error) {
-                if (error) {
-                    if (callback) {
-                        callback(error);
-                    }
-                } else {
-                    var lockState = this.convertIsOnToValue(this.isOn, Characteristic.LockTargetState.SECURED, Characteristic.LockTargetState.UNSECURED);
-                    this.log("%s: getLockTargetState() => %s", this.name, lockState);
-                    if (callback) {
-                        callback(undefined, lockState);
-                    }
-                }
-            }.bind(this)
-        );
+// Writes the history to its file
+// If a write is already in progress, the file is written again once it has finished
+IndigoHistory.prototype.save = function() {
+    if (this.removed) {
+        return;
     }
-    else if (callback) {
-        callback("Accessory does not support on/off");
+    if (this.saving) {
+        this.saveAgain = true;
+        return;
     }
+    this.saving = true;
+    fs.writeFile(this.file, this.getFileData(),
+        function(error) {
+            if (error) {
+                this.log("%s: Error writing history file %s: %s", this.name, this.file, error);
+            }
+            this.saving = false;
+            if (this.removed) {
+                IndigoHistory.deleteFile(this.log, this.file);
+            } else if (this.saveAgain) {
+                this.saveAgain = false;
+                this.save();
+            }
+        }.bind(this)
+    );
 };
 
-// Set the target lock state of the accessory
-// lockState: Characteristic.LockTargetState.SECURED (device on) or Characteristic.LockTargetState.UNSECURED (device off)
-// callback: invokes callback(error), error is undefined if no error occurred
-// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, and will not update LockCurrentState
-//          otherwise, calls the Indigo RESTful API and also updates LockCurrentState to match after a one second delay
-IndigoLockAccessory.prototype.setLockTargetState = function(lockState, callback, context) {
-    this.log("%s: setLockTargetState(%s)", this.name, lockState);
-    if (context == IndigoAccessory.REFRESH_CONTEXT) {
-        if (callback) {
-            callback();
+// Adds an entry to the history, and discards the entries that are older than the platform's historyDays
+// values: object with the current value of each of the history's fields, ignoring any that are not numbers
+// Returns true if an entry was added, or false if none of the values were numbers
+IndigoHistory.prototype.addEntry = function(values) {
+    var now = Math.round(Date.now() / 1000);
+    var entry = { time: now };
+    var hasValue = false;
+    this.fields.forEach(
+        function(field) {
+            var value = Number(values[field]);
+            if (values[field] !== undefined && values[field] !== null && !isNaN(value)) {
+                entry[field] = value;
+                hasValue = true;
+            }
         }
+    );
+    if (!hasValue) {
+        return false;
     }
-    else if (this.typeSupportsOnOff) {
-        this.updateStatus({ isOn: this.convertBooleanToIsOn(lockState == Characteristic.LockTargetState.SECURED) }, callback);
-        // Update current state to match target state
-        setTimeout(
-            function() {
-                this.service.getCharacteristic(Characteristic.LockCurrentState)
-                    .setValue((lockState == Characteristic.LockTargetState.SECURED) ?
-                                Characteristic.LockCurrentState.SECURED : Characteristic.LockCurrentState.UNSECURED,
-                                undefined, IndigoAccessory.REFRESH_CONTEXT);
-            }.bind(this),
-        1000);
-    }
-    else if (callback) {
-        callback("Accessory does not support on/off");
+    this.entries.push(entry);
+
+    var oldest = now - this.platform.historyDays * 86400;
+    while (this.entries.length > 1 &&
+           (this.entries[0].time < oldest || this.entries.length >= IndigoHistory.MAX_ENTRIES)) {
+        this.entries.shift();
+        this.firstEntry++;
     }
+
+    this.scheduleSave();
+    return true;
 };
 
-// Update HomeKit state to match state of Indigo's isOn property
-// isOn: new value of isOn property
-IndigoLockAccessory.prototype.update_isOn = function(isOn) {
-    this.service.getCharacteristic(Characteristic.LockCurrentState)
-        .setValue(this.convertIsOnToValue(isOn, Characteristic.LockCurrentState.SECURED, Characteristic.LockCurrentState.UNSECURED),
-                  undefined, IndigoAccessory.REFRESH_CONTEXT);
-    this.service.getCharacteristic(Characteristic.LockTargetState)
-        .setValue(this.convertIsOnToValue(isOn, Characteristic.LockTargetState.SECURED, Characteristic.LockTargetState.UNSECURED),
-                  undefined, IndigoAccessory.REFRESH_CONTEXT);
+// Returns the history status that the Eve app reads to see which entries are available, as base64 data
+// This describes the fields in each entry, the time of the most recent entry, and the range of entry numbers
+IndigoHistory.prototype.getStatus = function() {
+    var lastTime = (this.entries.length > 0) ?
+        this.entries[this.entries.length - 1].time - IndigoAccessory.EVE_EPOCH : this.refTime;
+    var hex = toEveHex(lastTime - this.refTime, 4) + "00000000" + toEveHex(this.refTime, 4) +
+        toEveHex(this.fields.length, 1);
+    this.fields.forEach(
+        function(field) {
+            hex += IndigoHistory.FIELDS[field].signature;
+        }
+    );
+    hex += toEveHex(this.entries.length + 1, 2) + toEveHex(IndigoHistory.MAX_ENTRIES, 2) +
+        toEveHex(this.firstEntry - 1, 4) + "000000000101";
+    return Buffer.from(hex, "hex").toString("base64");
+};
+
+// Starts sending entries to the Eve app, as requested by it
+// data: base64 data written by the Eve app, which holds the number of the first entry it wants
+IndigoHistory.prototype.requestEntries = function(data) {
+    var hex = Buffer.from(data || "", "base64").toString("hex");
+    var requested = fromEveHex(hex.substr(4, 8));
+    this.log("%s: History requested from entry %d", this.name, requested);
+    this.nextEntry = Math.max(requested, this.firstEntry - 1);
+    this.transferring = true;
+};
+
+// Returns the next entries that the Eve app has requested, as base64 data
+// The reference time entry is sent in place of any entries that have been discarded
+IndigoHistory.prototype.readEntries = function() {
+    if (!this.transferring || this.nextEntry > this.getLastEntry()) {
+        this.transferring = false;
+        return Buffer.from("00", "hex").toString("base64");
+    }
+
+    var hex = "";
+    for (var i = 0; i < IndigoHistory.ENTRIES_PER_READ && this.nextEntry <= this.getLastEntry(); i++) {
+        if (this.nextEntry < this.firstEntry) {
+            hex += "15" + toEveHex(this.nextEntry, 4) + "01000000" + "81" + toEveHex(this.refTime, 4) + "00000000000000";
+        } else {
+            var entry = this.entries[this.nextEntry - this.firstEntry];
+            var mask = 0;
+            var values = "";
+            this.fields.forEach(
+                function(field, index) {
+                    if (entry[field] !== undefined) {
+                        var f = IndigoHistory.FIELDS[field];
+                        mask |= (1 << index);
+                        values += toEveHex(entry[field] * f.factor, f.size);
+                    }
+                }
+            );
+            var body = toEveHex(this.nextEntry, 4) +
+                toEveHex(entry.time - IndigoAccessory.EVE_EPOCH - this.refTime, 4) +
+                toEveHex(mask, 1) + values;
+            hex += toEveHex(body.length / 2 + 1, 1) + body;
+        }
+        this.nextEntry++;
+    }
+    return Buffer.from(hex, "hex").toString("base64");
 };
 
 
 //
-// Indigo Position Accessory (Door, Window, or Window Covering)
+// Generic Indigo Accessory
 //
 // platform: the HomeKit platform
 // serviceType: the constructor for the type of HAP service to create
 // deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
 // json: the json that describes this device
 //
-function IndigoPositionAccessory(platform, serviceType, deviceURL, json) {
-    IndigoAccessory.call(this, platform, serviceType, deviceURL, json);
+function IndigoAccessory(platform, serviceType, deviceURL, json) {
+    this.platform = platform;
+    this.log = platform.log;
+    this.deviceURL = deviceURL;
 
-    this.service.getCharacteristic(Characteristic.CurrentPosition)
-        .on('get', this.getPosition.bind(this));
+    this.updateFromJSON(json);
+    this.statusTime = Date.now();
 
-    this.service.getCharacteristic(Characteristic.PositionState)
-        .on('get', this.getPositionState.bind(this));
+    this.invertOnOff = platform.invertOnOffId(this.id);
+    if (this.invertOnOff) {
+        this.log("%s: Inverting on/off for this device", this.name);
+    }
 
-    this.service.getCharacteristic(Characteristic.TargetPosition)
-        .on('get', this.getPosition.bind(this))
-        .on('set', this.setTargetPosition.bind(this));
-}
+    this.accessory = platform.getPlatformAccessory(this.id, this.name);
+    this.infoService = this.accessory.getService(Service.AccessoryInformation);
 
-// Get the position of the accessory
-// callback: invokes callback(error, position)
-//           error: error message or undefined if no error
-//           position: if device supports brightness, will return the brightness value; otherwise on=100 and off=0
-IndigoPositionAccessory.prototype.getPosition = function(callback) {
-    if (this.typeSupportsOnOff || this.typeSupportsDim || this.typeIsDimmer) {
-        this.getStatus(
-            function(error) {
-                if (error) {
-                    if (callback) {
-                        callback(error);
-                    }
-                } else {
-                    var position = this.convertIsOnToValue(this.isOn, 100, 0);
-                    if (this.typeSupportsDim || this.typeIsDimmer) {
-                        position = this.convertBrightness(this.brightness);
-                    }
-                    this.log("%s: getPosition() => %s", this.name, position);
-                    if (callback) {
-                        callback(undefined, position);
-                    }
-                }
-            }.bind(this)
-        );
-    }
-    else if (callback) {
-        callback("Accessory does not support on/off or dim");
+    // Members of a group share the HomeKit accessory, so their services are told apart by device ID,
+    // and only the group's first device describes the accessory
+    // The first device's services keep their original subtypes, as the accessory used to be that device's own
+    var group = platform.accessoryGroups.get(String(this.id));
+    this.sharesAccessory = Boolean(group);
+    if (group && group.id != String(this.id)) {
+        this.subtype = String(this.id);
     }
-};
+    if (!group || group.id == String(this.id)) {
+        // A cached accessory keeps its old name if the device was renamed while homebridge was not running
+        var accessoryName = (group && group.name) || this.name;
+        if (this.accessory.displayName != accessoryName) {
+            this.log("Renaming %s to %s", this.accessory.displayName, accessoryName);
+            this.accessory.displayName = accessoryName;
+            this.infoService.setCharacteristic(Characteristic.Name, accessoryName);
+            this.updateCachedAccessory();
+        }
 
-// Get the position state of the accessory
-// callback: invokes callback(error, position)
-//           error: error message or undefined if no error
-//           positionState: always Characteristic.PositionState.STOPPED
-IndigoPositionAccessory.prototype.getPositionState = function(callback) {
-    if (this.typeSupportsOnOff || this.typeSupportsDim || this.typeIsDimmer) {
-        this.log("%s: getPositionState() => %s", this.name, Characteristic.PositionState.STOPPED);
-        if (callback) {
-            callback(undefined, Characteristic.PositionState.STOPPED);
+        this.infoService.setCharacteristic(Characteristic.Manufacturer, "Indigo")
+            .setCharacteristic(Characteristic.SerialNumber, String(this.id));
+
+        if (this.type) {
+            this.infoService.setCharacteristic(Characteristic.Model, this.type);
+        }
+
+        if (this.versByte) {
+            this.infoService.setCharacteristic(Characteristic.FirmwareRevision, this.versByte);
         }
     }
-    else if (callback) {
-        callback("Accessory does not support on/off or dim");
+
+    this.services = [ this.infoService ];
+    this.service = this.addOrGetService(serviceType, this.name);
+
+    // Indigo reports a battery level (or null) for devices that run on batteries
+    if (this.batteryLevel !== undefined && this.batteryLevel !== null) {
+        this.batteryService = this.addOrGetService(Service.BatteryService, this.name + " Battery");
+
+        this.batteryService.getCharacteristic(Characteristic.BatteryLevel)
+            .on('get', this.getBatteryLevel.bind(this));
+
+        this.batteryService.getCharacteristic(Characteristic.ChargingState)
+            .on('get', this.getChargingState.bind(this));
+
+        this.batteryService.getCharacteristic(Characteristic.StatusLowBattery)
+            .on('get', this.getStatusLowBattery.bind(this));
     }
-};
 
-// Set the target position of the accessory
-// position: if device supports brightness, sets brightness to equal position; otherwise turns device on if position > 0, or off otherwise
-// callback: invokes callback(error), error is undefined if no error occurred
-// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, and will not update CurrentPosition
-//          otherwise, calls the Indigo RESTful API and also updates CurrentPosition to match position after a one second delay
-IndigoPositionAccessory.prototype.setTargetPosition = function(position, callback, context) {
-    this.log("%s: setTargetPosition(%s)", this.name, position);
-    if (context == IndigoAccessory.REFRESH_CONTEXT) {
-        if (callback) {
-            callback();
-        }
+    // Indigo reports power (watts) and accumulated energy (kWh) for devices with energy metering
+    if (this.hasEnergyValue(this.energyCurLevel) || this.hasEnergyValue(this.energyAccumTotal)) {
+        this.addEnergyCharacteristics();
     }
-    else if (this.typeSupportsOnOff || this.typeSupportsDim || this.typeIsDimmer) {
-        if (this.typeSupportsDim || this.typeIsDimmer) {
-            this.updateStatus({ brightness: this.convertBrightness(position) }, callback);
+}
+
+// A set context that indicates this is from an update made by this plugin, so do not call the Indigo RESTful API with a put request
+IndigoAccessory.REFRESH_CONTEXT = 'refresh';
+
+// Custom characteristics used by the Eve app to show energy metering, keyed by the Indigo property that holds their value
+IndigoAccessory.EVE_ENERGY_CHARACTERISTICS = {
+    voltage: { displayName: "Voltage", UUID: "E863F10A-079E-48FF-8F27-9C2605A29F52", unit: "V" },
+    current: { displayName: "Electric Current", UUID: "E863F126-079E-48FF-8F27-9C2605A29F52", unit: "A" },
+    energyCurLevel: { displayName: "Consumption", UUID: "E863F10D-079E-48FF-8F27-9C2605A29F52", unit: "W" },
+    energyAccumTotal: { displayName: "Total Consumption", UUID: "E863F10C-079E-48FF-8F27-9C2605A29F52", unit: "kWh" }
+};
+// Custom characteristic written by the Eve app to reset the total consumption, holding the time of the reset
+IndigoAccessory.EVE_RESET_TOTAL_UUID = "E863F112-079E-48FF-8F27-9C2605A29F52";
+// Eve times are in seconds since 1 January 2001, rather than 1 January 1970
+IndigoAccessory.EVE_EPOCH = 978307200;
+// Custom service and characteristics used by the Eve app to read an accessory's history (see IndigoHistory)
+IndigoAccessory.EVE_HISTORY_SERVICE_UUID = "E863F007-079E-48FF-8F27-9C2605A29F52";
+IndigoAccessory.EVE_HISTORY_STATUS_UUID = "E863F116-079E-48FF-8F27-9C2605A29F52";
+IndigoAccessory.EVE_HISTORY_ENTRIES_UUID = "E863F117-079E-48FF-8F27-9C2605A29F52";
+IndigoAccessory.EVE_HISTORY_REQUEST_UUID = "E863F11C-079E-48FF-8F27-9C2605A29F52";
+IndigoAccessory.EVE_HISTORY_TIME_UUID = "E863F121-079E-48FF-8F27-9C2605A29F52";
+
+
+// Returns the HomeKit services that this accessory supports
+IndigoAccessory.prototype.getServices = function() {
+    return this.services;
+};
+
+// Returns the accessory's service of the given type, adding it if the accessory does not have one yet
+// Services restored from the homebridge cache are reused, so that HomeKit keeps their settings
+// serviceType: the constructor for the type of HAP service
+// name: the display name of the service
+// subtype: optional, distinguishes between multiple services of the same type
+//          (prefixed with the device ID for members of a group)
+IndigoAccessory.prototype.addOrGetService = function(serviceType, name, subtype) {
+    if (this.subtype) {
+        subtype = (subtype) ? this.subtype + "." + subtype : this.subtype;
+    }
+    // A service without a subtype on a shared accessory must not be mistaken for another member's service of the same type
+    var service = (subtype || this.sharesAccessory) ?
+        this.accessory.getServiceByUUIDAndSubType(serviceType, subtype) :
+        this.accessory.getService(serviceType);
+    if (!service) {
+        service = this.accessory.addService(serviceType, name, subtype);
+    } else if (name && service.displayName != name) {
+        // A cached service keeps its old name if the device was renamed while homebridge was not running
+        this.renameService(service, name);
+        this.updateCachedAccessory();
+    }
+    this.services.push(service);
+    return service;
+};
+
+// Renames one of the Accessory's HomeKit services
+// service: the service to rename
+// name: the new name of the service
+IndigoAccessory.prototype.renameService = function(service, name) {
+    service.displayName = name;
+    service.setCharacteristic(Characteristic.Name, name);
+};
+
+// Saves the HomeKit accessory to the homebridge cache after it has changed, unless it has not been registered yet
+IndigoAccessory.prototype.updateCachedAccessory = function() {
+    if (this.platform.newAccessories.indexOf(this.accessory) < 0) {
+        this.platform.api.updatePlatformAccessories([ this.accessory ]);
+    }
+};
+
+// Updates the Accessory's properties with values from JSON from the Indigo RESTful API
+// json: JSON object from the Indigo RESTful API
+// updateCallback: optional, invokes updateCallback(propertyName, propertyValue) for each property that has changed value
+IndigoAccessory.prototype.updateFromJSON = function(json, updateCallback) {
+    for (var prop in json) {
+        if (prop != "name" && json.hasOwnProperty(prop)) {
+            if (json[prop] != this[prop]) {
+                this[prop] = json[prop];
+                if (updateCallback) {
+                    updateCallback(prop, json[prop]);
+                }
+            }
+        }
+    }
+
+    // Allows us to change the name of accessories - useful for testing
+    if (json.name !== undefined) {
+        var name = this.platform.accessoryNamePrefix + String(json.name);
+        if (this.accessory && name != this.name) {
+            this.rename(name);
+        } else {
+            this.name = name;
+        }
+    }
+
+    // Keep any virtual accessories built from this item in step with it
+    this.platform.refreshWatchedItem(this.id, json);
+};
+
+// Renames the Accessory in HomeKit after it has been renamed in Indigo
+// Services named after the Accessory (e.g. "<name> Battery") are renamed to match, and so is the HomeKit accessory,
+// unless it is shared with other devices and named by the group or by another device
+// name: the new name of the Accessory
+IndigoAccessory.prototype.rename = function(name) {
+    this.log("Renaming %s to %s", this.name, name);
+    var oldName = this.name;
+    this.name = name;
+
+    var group = this.platform.accessoryGroups.get(String(this.id));
+    if (!group || (group.id == String(this.id) && !group.name)) {
+        this.accessory.displayName = name;
+        this.infoService.setCharacteristic(Characteristic.Name, name);
+    }
+    this.services.forEach(
+        function(service) {
+            if (service !== this.infoService && service.displayName &&
+                service.displayName.indexOf(oldName) == 0) {
+                this.renameService(service, name + service.displayName.substring(oldName.length));
+            }
+        }.bind(this)
+    );
+    this.updateCachedAccessory();
+};
+
+// Calls the Indigo RESTful API to get the latest state for this Accessory, and updates the Accessory's properties to match
+// callback: invokes callback(error), error is undefined if no error occurred
+// updateCallback: optional, invokes updateCallback(propertyName, propertyValue) for each property that has changed value
+IndigoAccessory.prototype.getStatus = function(callback, updateCallback) {
+    this.platform.indigoRequestJSON(this.deviceURL, "GET", null,
+        function(error, json) {
+            if (error) {
+                if (callback) {
+                    callback(error);
+                }
+            } else {
+                this.updateFromJSON(json, updateCallback);
+                this.statusTime = Date.now();
+                if (callback) {
+                    callback();
+                }
+            }
+        }.bind(this)
+    );
+};
+
+// Makes sure this Accessory's properties reflect recent state, for use by HomeKit getters
+// If the listener is receiving updates from Indigo, the properties are always current, so no request is made
+// Otherwise, calls the Indigo RESTful API only if the state is older than the platform's cacheTime,
+// and concurrent calls share a single outstanding request
+// callback: invokes callback(error), error is undefined if no error occurred
+IndigoAccessory.prototype.getCachedStatus = function(callback) {
+    if (this.statusTime !== undefined &&
+        (this.platform.listening || Date.now() - this.statusTime < this.platform.cacheTime * 1000)) {
+        if (callback) {
+            callback();
+        }
+    } else if (this.pendingStatusCallbacks) {
+        this.pendingStatusCallbacks.push(callback);
+    } else {
+        this.pendingStatusCallbacks = [ callback ];
+        this.getStatus(
+            function(error) {
+                var callbacks = this.pendingStatusCallbacks;
+                this.pendingStatusCallbacks = undefined;
+                callbacks.forEach(
+                    function(pendingCallback) {
+                        if (pendingCallback) {
+                            pendingCallback(error);
+                        }
+                    }
+                );
+            }.bind(this)
+        );
+    }
+};
+
+// Calls the Indigo RESTful API to alter the state of this Accessory, and updates the Accessory's properties to match
+// qs: the query string parameters to send to the Indigo RESTful API via a PUT request
+// callback: invokes callback(error), error is undefined if no error occurred
+// updateCallback: optional, invokes updateCallback(propertyName, propertyValue) for each property that has changed value
+IndigoAccessory.prototype.updateStatus = function(qs, callback, updateCallback) {
+    this.log("updateStatus of %s: %s", this.name, JSON.stringify(qs));
+    this.platform.indigoRequest(this.deviceURL, "PUT", qs,
+        function(error, response, body) {
+            if (error) {
+                if (callback) {
+                    callback(error);
+                }
+            } else {
+                this.getStatus(callback, updateCallback);
+            }
+        }.bind(this)
+    );
+};
+// Gets the recent state of this Accessory (see getCachedStatus), and updates the Accessory's properties to match
+// key: the property we are interested in
+// callback: invokes callback(error, value), error is undefined if no error occurred, value is the value of the property named key
+IndigoAccessory.prototype.query = function(key, callback) {
+    this.getCachedStatus(
+        function(error) {
+            if (error) {
+                if (callback) {
+                    callback(error);
+                }
+            } else {
+                this.log("%s: query(%s) => %s", this.name, key, this[key]);
+                if (callback) {
+                    callback(undefined, this[key]);
+                }
+            }
+        }.bind(this)
+    );
+};
+
+// Calls the Indigo RESTful API to get the latest state of this Accessory for the poller, and updates HomeKit to match
+// callback: invokes callback(error), error is undefined if no error occurred
+IndigoAccessory.prototype.poll = function(callback) {
+    this.platform.indigoRequestJSON(this.deviceURL, "GET", null,
+        function(error, json) {
+            if (!error) {
+                this.refreshFromJSON(json);
+            }
+            if (callback) {
+                callback(error);
+            }
+        }.bind(this)
+    );
+};
+
+// Invokes the Accessory's update_XXX(value) function, if it exists, where "XXX" is the value of prop
+// For example, updateProperty("brightness", 100) invokes update_brightness(100) if the function update_brightess exists
+// prop: the property name
+// value: the property value
+// TODO: Need a more elegant way to map HomeKit Characteristics and values to Indigo JSON keys and values
+IndigoAccessory.prototype.updateProperty = function(prop, value) {
+    updateFunction = "update_" + prop;
+    if (this[updateFunction]) {
+        this.log("%s: %s(%s)", this.name, updateFunction, value);
+        this[updateFunction](value);
+    }
+};
+
+// Calls the Indigo RESTful API to get the latest state of this Accessory, and updates the Accessory's properties to match
+// Invokes the Accessory's update_KEY function for each property KEY where the value has changed from the prior cached state
+// If the Accessory does not have an update_KEY function for a given KEY, it is safely ignored
+// This is used when we are listening on the listenPort for notifications from Indigo about devices that have changed state
+// callback: invokes callback(error), error is undefined if no error occurred
+IndigoAccessory.prototype.refresh = function(callback) {
+    this.log("%s: refresh()", this.name);
+    this.getStatus(callback, this.updateProperty.bind(this));
+};
+
+// Updates the Accessory's properties to match the provided JSON key/value pairs
+// Invokes the Accessory's update_KEY function for each property KEY where the value has changed from the prior cached state
+// If the Accessory does not have an update_KEY function for a given KEY, it is safely ignored
+// This is used when we are listening on the listenPort for notifications from Indigo about devices that have changed state
+// json: the JSON key/value pairs to update
+IndigoAccessory.prototype.refreshFromJSON = function(json) {
+    this.log("%s: refreshFromJSON()", this.name);
+    this.updateFromJSON(json, this.updateProperty.bind(this));
+    this.statusTime = Date.now();
+};
+
+
+// Conversions that support inverted definitions of on/off and brightness
+
+// Converts the value of Indigo's isOn parameter to some other constants representing on and off.
+// isOn: Evaluated as a boolean
+// onValue: Value to return for true
+// offValue: Value to return for false
+// Returns onValue if isOn evaluates to true, and offValue if isOn evaluates to false.
+// NOTE: If this accessory is configured to invert on/off values, onValue is returned if isOn evaluates to false,
+// and offValue is returned if isOn evaluates to true.
+IndigoAccessory.prototype.convertIsOnToValue = function(isOn, onValue, offValue) {
+    if (this.invertOnOff) {
+        return ((isOn) ? offValue : onValue);
+    } else {
+        return ((isOn) ? onValue : offValue);
+    }
+}
+
+// Converts the value of Indigo's isOn parameter to a boolean value.  Returns true or false.
+// isOn: Evaluated as a boolean
+// Returns true if isOn evaluates to true, and false if isOn evaluates to false.
+// NOTE: If this accessory is configured to invert on/off values, true is returned if isOn evaluates to false,
+// and false is returned if isOn evaluates to true.
+IndigoAccessory.prototype.convertIsOnToBoolean = function(isOn) {
+    return this.convertIsOnToValue(isOn, true, false);
+}
+
+// Converts a boolean expression to Indigo's isOn parameter values.  Returns 1 or 0.
+// b: Evaluated as a boolean
+// Returns 1 if b evaluates to true, and 0 if b evaluates to false.
+// NOTE: If this accessory is configured to invert on/off values, 1 is returned if b evaluates to false,
+// and 0 is returned if b evaluates to true.
+IndigoAccessory.prototype.convertBooleanToIsOn = function(b) {
+    if (this.invertOnOff) {
+        return ((b) ? 0 : 1);
+    } else {
+        return ((b) ? 1 : 0);
+    }
+}
+
+// Converts a brightness value to a possibly inverted value.
+// brightness: The brightness value, between 0 (fully dark) and 100 (fully bright)
+// Returns the brightness value
+// NOTE: If this accessory is configured to invert on/off values, then 0 becomes fully bright and 100 becomes
+// fully dark, so the inverted brightness value is returned.
+IndigoAccessory.prototype.convertBrightness = function(brightness) {
+    if (this.invertOnOff) {
+        return (100 - brightness);
+    } else {
+        return (brightness);
+    }
+}
+
+// Note: HomeKit wants all temperature values in celsius, so convert if needed
+
+// Converts a celsius temperature into Indigo's units (F or C, depending on the thermostatsInCelsius setting)
+// temperature: temperature in degrees celsius
+// returns: temperature in Indigo's units
+IndigoAccessory.prototype.celsiusToIndigoTemp = function(temperature) {
+    if (this.platform.thermostatsInCelsius) {
+        return (temperature);
+    } else {
+        return (Math.round(((temperature * 9.0 / 5.0) + 32.0) * 10.0) / 10.0);
+    }
+}
+
+// Converts a temperature in Indigo's units (F or C, depending on the thermostatsInCelsius setting) into celsius
+// temperature: temperature in Indigo's units
+// returns: temperature in degrees celsius
+IndigoAccessory.prototype.indigoTempToCelsius = function(temperature) {
+    if (this.platform.thermostatsInCelsius) {
+        return (temperature);
+    } else {
+        return (Math.round(((temperature - 32.0) * 5.0 / 9.0) * 10.0) / 10.0);
+    }
+}
+
+
+// Accessories that report a battery level get a battery service, so we include helper functions for it here
+
+// Converts Indigo's batteryLevel into HomeKit's low battery status
+// batteryLevel: the battery level, from 0 to 100
+// Returns Characteristic.StatusLowBattery.BATTERY_LEVEL_LOW if batteryLevel is at or below the platform's lowBatteryThreshold,
+// and Characteristic.StatusLowBattery.BATTERY_LEVEL_NORMAL otherwise
+IndigoAccessory.prototype.convertBatteryLevelToStatus = function(batteryLevel) {
+    return (batteryLevel <= this.platform.lowBatteryThreshold) ?
+        Characteristic.StatusLowBattery.BATTERY_LEVEL_LOW :
+        Characteristic.StatusLowBattery.BATTERY_LEVEL_NORMAL;
+};
+
+// Get the battery level of the accessory
+// callback: invokes callback(error, batteryLevel)
+//           error: error message or undefined if no error
+//           batteryLevel: the battery level, from 0 to 100
+IndigoAccessory.prototype.getBatteryLevel = function(callback) {
+    this.getCachedStatus(
+        function(error) {
+            if (error) {
+                if (callback) {
+                    callback(error);
+                }
+            } else {
+                var batteryLevel = Number(this.batteryLevel) || 0;
+                this.log("%s: getBatteryLevel() => %s", this.name, batteryLevel);
+                if (callback) {
+                    callback(undefined, batteryLevel);
+                }
+            }
+        }.bind(this)
+    );
+};
+
+// Get the charging state of the accessory
+// callback: invokes callback(undefined, Characteristic.ChargingState.NOT_CHARGEABLE), since Indigo devices do not report charging
+IndigoAccessory.prototype.getChargingState = function(callback) {
+    this.log("%s: getChargingState() => %s", this.name, Characteristic.ChargingState.NOT_CHARGEABLE);
+    if (callback) {
+        callback(undefined, Characteristic.ChargingState.NOT_CHARGEABLE);
+    }
+};
+
+// Get the low battery status of the accessory
+// callback: invokes callback(error, status)
+//           error: error message or undefined if no error
+//           status: one of Characteristic.StatusLowBattery.{BATTERY_LEVEL_NORMAL,BATTERY_LEVEL_LOW}
+IndigoAccessory.prototype.getStatusLowBattery = function(callback) {
+    this.getCachedStatus(
+        function(error) {
+            if (error) {
+                if (callback) {
+                    callback(error);
+                }
+            } else {
+                var status = this.convertBatteryLevelToStatus(Number(this.batteryLevel) || 0);
+                this.log("%s: getStatusLowBattery() => %s", this.name, status);
+                if (callback) {
+                    callback(undefined, status);
+                }
+            }
+        }.bind(this)
+    );
+};
+
+// Update HomeKit state to match state of Indigo's batteryLevel property
+// batteryLevel: new value of batteryLevel property
+IndigoAccessory.prototype.update_batteryLevel = function(batteryLevel) {
+    if (this.batteryService && batteryLevel !== null) {
+        this.batteryService.getCharacteristic(Characteristic.BatteryLevel)
+            .setValue(Number(batteryLevel) || 0, undefined, IndigoAccessory.REFRESH_CONTEXT);
+        this.batteryService.getCharacteristic(Characteristic.StatusLowBattery)
+            .setValue(this.convertBatteryLevelToStatus(Number(batteryLevel) || 0), undefined, IndigoAccessory.REFRESH_CONTEXT);
+    }
+};
+
+
+// Returns true if an energy property has a value (Indigo reports null for devices without energy metering)
+// value: the value of the property
+IndigoAccessory.prototype.hasEnergyValue = function(value) {
+    return (value !== undefined && value !== null);
+};
+
+// Returns the service's characteristic with the given UUID, adding a custom characteristic if the service does not have one yet
+// service: the HAP service
+// displayName: the display name of the characteristic
+// UUID: the UUID of the characteristic
+// props: the properties (format, unit, perms, etc.) of the characteristic
+IndigoAccessory.prototype.addOrGetCustomCharacteristic = function(service, displayName, UUID, props) {
+    var characteristic = service.characteristics.filter(
+        function(c) {
+            return (c.UUID == UUID);
+        }
+    )[0];
+    if (characteristic) {
+        characteristic.setProps(props);
+    } else {
+        characteristic = service.addCharacteristic(new Characteristic(displayName, UUID, props));
+    }
+    return characteristic;
+};
+
+// Adds the Eve energy characteristics to the accessory's service, for the energy properties that Indigo reports,
+// along with the characteristic that lets the Eve app reset the total consumption
+IndigoAccessory.prototype.addEnergyCharacteristics = function() {
+    this.energyCharacteristics = {};
+    for (var key in IndigoAccessory.EVE_ENERGY_CHARACTERISTICS) {
+        if (IndigoAccessory.EVE_ENERGY_CHARACTERISTICS.hasOwnProperty(key) && this.hasEnergyValue(this[key])) {
+            var eve = IndigoAccessory.EVE_ENERGY_CHARACTERISTICS[key];
+            this.energyCharacteristics[key] = this.addOrGetCustomCharacteristic(this.service, eve.displayName, eve.UUID, {
+                format: Characteristic.Formats.FLOAT,
+                unit: eve.unit,
+                minValue: 0,
+                maxValue: 1000000,
+                minStep: 0.01,
+                perms: [ Characteristic.Perms.READ, Characteristic.Perms.NOTIFY ]
+            });
+            this.updateEnergyCharacteristic(key);
+        }
+    }
+
+    if (this.energyCharacteristics.energyAccumTotal) {
+        this.addOrGetCustomCharacteristic(this.service, "Reset Total", IndigoAccessory.EVE_RESET_TOTAL_UUID, {
+            format: Characteristic.Formats.UINT32,
+            perms: [ Characteristic.Perms.READ, Characteristic.Perms.WRITE, Characteristic.Perms.NOTIFY ]
+        })
+            .on('get', this.getEnergyResetTime.bind(this))
+            .on('set', this.resetEnergyTotal.bind(this))
+            .setValue(this.accessory.context.energyResetTime || 0, undefined, IndigoAccessory.REFRESH_CONTEXT);
+    }
+};
+
+// Returns the value of an energy property to show in HomeKit
+// The total consumption is shown relative to the last reset from the Eve app, which Indigo does not know about
+// key: the Indigo property (e.g. energyAccumTotal)
+IndigoAccessory.prototype.getEnergyValue = function(key) {
+    var value = Number(this[key]) || 0;
+    if (key == "energyAccumTotal") {
+        var resetTotal = this.accessory.context.energyResetTotal || 0;
+        if (value < resetTotal) {
+            // The total has been reset in Indigo since, so it is already relative to that
+            resetTotal = 0;
+        }
+        value = value - resetTotal;
+    }
+    return Math.max(0, value);
+};
+
+// Update HomeKit's energy characteristic to match the state of an Indigo energy property
+// key: the Indigo property (e.g. energyCurLevel)
+IndigoAccessory.prototype.updateEnergyCharacteristic = function(key) {
+    if (this.energyCharacteristics && this.energyCharacteristics[key] && this.hasEnergyValue(this[key])) {
+        this.energyCharacteristics[key]
+            .setValue(this.getEnergyValue(key), undefined, IndigoAccessory.REFRESH_CONTEXT);
+    }
+};
+
+// Get the time the total consumption was last reset from the Eve app
+// callback: invokes callback(undefined, resetTime), resetTime is in seconds since 1 January 2001 (0 if never reset)
+IndigoAccessory.prototype.getEnergyResetTime = function(callback) {
+    if (callback) {
+        callback(undefined, this.accessory.context.energyResetTime || 0);
+    }
+};
+
+// Resets the total consumption shown in HomeKit, as requested by the Eve app
+// The reset is remembered in the accessory's context, so it survives restarts
+// resetTime: the time of the reset, in seconds since 1 January 2001
+// callback: invokes callback(error), error is undefined if no error occurred
+// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not reset the total
+IndigoAccessory.prototype.resetEnergyTotal = function(resetTime, callback, context) {
+    this.log("%s: resetEnergyTotal(%s)", this.name, resetTime);
+    if (context !== IndigoAccessory.REFRESH_CONTEXT) {
+        this.accessory.context.energyResetTotal = Number(this.energyAccumTotal) || 0;
+        this.accessory.context.energyResetTime = resetTime;
+        this.platform.api.updatePlatformAccessories([ this.accessory ]);
+        this.updateEnergyCharacteristic("energyAccumTotal");
+    }
+    if (callback) {
+        callback();
+    }
+};
+
+// Update HomeKit state to match state of Indigo's energyCurLevel property
+// energyCurLevel: new value of energyCurLevel property (watts)
+IndigoAccessory.prototype.update_energyCurLevel = function(energyCurLevel) {
+    this.updateEnergyCharacteristic("energyCurLevel");
+};
+
+// Update HomeKit state to match state of Indigo's energyAccumTotal property
+// energyAccumTotal: new value of energyAccumTotal property (kWh)
+IndigoAccessory.prototype.update_energyAccumTotal = function(energyAccumTotal) {
+    this.updateEnergyCharacteristic("energyAccumTotal");
+};
+
+// Update HomeKit state to match state of the device's voltage property
+// voltage: new value of voltage property (volts)
+IndigoAccessory.prototype.update_voltage = function(voltage) {
+    this.updateEnergyCharacteristic("voltage");
+};
+
+// Update HomeKit state to match state of the device's current property
+// current: new value of current property (amps)
+IndigoAccessory.prototype.update_current = function(current) {
+    this.updateEnergyCharacteristic("current");
+};
+
+
+// Returns the accessory's custom service with the given UUID, adding it if the accessory does not have one yet
+// name: the display name of the service
+// UUID: the UUID of the service
+// subtype: optional, distinguishes between multiple services of the same type
+//          (prefixed with the device ID for members of a group)
+IndigoAccessory.prototype.addOrGetCustomService = function(name, UUID, subtype) {
+    if (this.subtype) {
+        subtype = (subtype) ? this.subtype + "." + subtype : this.subtype;
+    }
+    var service = this.accessory.services.filter(
+        function(s) {
+            return (s.UUID == UUID && s.subtype == subtype);
+        }
+    )[0];
+    if (!service) {
+        service = this.accessory.addService(new Service(name, UUID, subtype));
+    }
+    this.services.push(service);
+    return service;
+};
+
+// Returns the current values that are recorded in the accessory's Eve history, keyed by IndigoHistory.FIELDS
+// Subclasses add their own values, and the keys are returned even when the values are unknown
+IndigoAccessory.prototype.getHistoryValues = function() {
+    var values = {};
+    if (this.energyCharacteristics && this.energyCharacteristics.energyCurLevel) {
+        values.power = (this.hasEnergyValue(this.energyCurLevel)) ? this.getEnergyValue("energyCurLevel") : undefined;
+    }
+    return values;
+};
+
+// Adds the Eve history service, if the accessory has values that the Eve app can show a history of
+// The history is kept in a file in homebridge's storage directory, so it survives restarts
+IndigoAccessory.prototype.addHistory = function() {
+    var fields = Object.keys(this.getHistoryValues());
+    if (fields.length == 0) {
+        return;
+    }
+
+    var file = IndigoHistory.getFile(this.platform.api.user.storagePath(), this.id);
+    this.history = new IndigoHistory(this.platform, this.name, fields, file);
+    // Remember the file in the cache, so it can be deleted even if the accessory is removed before it is next created
+    var context = this.accessory.context;
+    context.historyFiles = context.historyFiles || {};
+    context.historyFiles[this.id] = file;
+    this.log("%s: Recording history of %s", this.name, this.history.fields.join(", "));
+
+    var service = this.addOrGetCustomService(this.name + " History", IndigoAccessory.EVE_HISTORY_SERVICE_UUID);
+
+    this.historyStatus = this.addOrGetCustomCharacteristic(service, "History Status", IndigoAccessory.EVE_HISTORY_STATUS_UUID, {
+        format: Characteristic.Formats.DATA,
+        perms: [ Characteristic.Perms.READ, Characteristic.Perms.NOTIFY, Characteristic.Perms.HIDDEN ]
+    });
+    this.historyStatus.setValue(this.history.getStatus(), undefined, IndigoAccessory.REFRESH_CONTEXT);
+
+    this.addOrGetCustomCharacteristic(service, "History Entries", IndigoAccessory.EVE_HISTORY_ENTRIES_UUID, {
+        format: Characteristic.Formats.DATA,
+        perms: [ Characteristic.Perms.READ, Characteristic.Perms.NOTIFY, Characteristic.Perms.HIDDEN ]
+    })
+        .on('get', this.getHistoryEntries.bind(this));
+
+    this.addOrGetCustomCharacteristic(service, "History Request", IndigoAccessory.EVE_HISTORY_REQUEST_UUID, {
+        format: Characteristic.Formats.DATA,
+        perms: [ Characteristic.Perms.WRITE, Characteristic.Perms.HIDDEN ]
+    })
+        .on('set', this.setHistoryRequest.bind(this));
+
+    this.addOrGetCustomCharacteristic(service, "History Time", IndigoAccessory.EVE_HISTORY_TIME_UUID, {
+        format: Characteristic.Formats.DATA,
+        perms: [ Characteristic.Perms.WRITE, Characteristic.Perms.HIDDEN ]
+    })
+        .on('set', this.setHistoryTime.bind(this));
+
+    this.recordHistory();
+};
+
+// Records the accessory's current values in its Eve history, if it has one
+IndigoAccessory.prototype.recordHistory = function() {
+    if (this.history && this.history.addEntry(this.getHistoryValues())) {
+        this.historyStatus.setValue(this.history.getStatus(), undefined, IndigoAccessory.REFRESH_CONTEXT);
+    }
+};
+
+// Get the next history entries requested by the Eve app
+// callback: invokes callback(undefined, data), data is the entries as base64 data
+IndigoAccessory.prototype.getHistoryEntries = function(callback) {
+    if (callback) {
+        callback(undefined, this.history.readEntries());
+    }
+};
+
+// Starts sending history entries to the Eve app, as requested by it
+// data: base64 data holding the number of the first entry the Eve app wants
+// callback: invokes callback(error), error is undefined if no error occurred
+// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not start sending entries
+IndigoAccessory.prototype.setHistoryRequest = function(data, callback, context) {
+    if (context !== IndigoAccessory.REFRESH_CONTEXT) {
+        this.history.requestEntries(data);
+    }
+    if (callback) {
+        callback();
+    }
+};
+
+// Accepts the current time written by the Eve app, which is not needed as entries are timestamped by homebridge
+// data: base64 data holding the time
+// callback: invokes callback(error), error is undefined if no error occurred
+IndigoAccessory.prototype.setHistoryTime = function(data, callback) {
+    if (callback) {
+        callback();
+    }
+};
+
+
+// Most accessories support on/off, so we include helper functions to get/set onState here
+
+// Get the current on/off state of the accessory
+// callback: invokes callback(error, onState)
+//           error: error message or undefined if no error
+//           onState: true if device is on, false otherwise
+IndigoAccessory.prototype.getOnState = function(callback) {
+    if (this.typeSupportsOnOff) {
+        this.getCachedStatus(
+            function(error) {
+                if (error) {
+                    if (callback) {
+                        callback(error);
+                    }
+                } else {
+                    var onState = this.convertIsOnToBoolean(this.isOn);
+                    this.log("%s: getOnState() => %s", this.name, onState);
+                    if (callback) {
+                        callback(undefined, onState);
+                    }
+                }
+            }.bind(this)
+        );
+    }
+    else if (callback) {
+        callback("Accessory does not support on/off");
+    }
+};
+
+// Set the current on/off state of the accessory
+// onState: true if on, false otherwise
+// callback: invokes callback(error), error is undefined if no error occurred
+// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, otherwise will
+IndigoAccessory.prototype.setOnState = function(onState, callback, context) {
+    this.log("%s: setOnState(%s)", this.name, onState);
+    if (context == IndigoAccessory.REFRESH_CONTEXT) {
+        if (callback) {
+            callback();
+        }
+    } else if (this.typeSupportsOnOff) {
+        this.updateStatus({ isOn: this.convertBooleanToIsOn(onState) }, callback);
+    } else if (callback) {
+        callback("Accessory does not support on/off");
+    }
+};
+
+
+//
+// Indigo Switch Accessory - Represents an on/off switch
+//
+// platform: the HomeKit platform
+// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
+// json: the json that describes this device
+//
+function IndigoSwitchAccessory(platform, deviceURL, json) {
+    IndigoAccessory.call(this, platform, Service.Switch, deviceURL, json);
+
+    this.service.getCharacteristic(Characteristic.On)
+        .on('get', this.getOnState.bind(this))
+        .on('set', this.setOnState.bind(this));
+}
+
+// Update HomeKit state to match state of Indigo's isOn property
+// isOn: new value of isOn property
+IndigoSwitchAccessory.prototype.update_isOn = function(isOn) {
+    this.service.getCharacteristic(Characteristic.On)
+        .setValue(this.convertIsOnToBoolean(isOn), undefined, IndigoAccessory.REFRESH_CONTEXT);
+};
+
+
+//
+// Indigo Outlet Accessory - Represents an appliance module or outlet
+// It is in use when it is drawing more than outletInUseWatts, or when it is on if it does not report its power
+//
+// platform: the HomeKit platform
+// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
+// json: the json that describes this device
+//
+function IndigoOutletAccessory(platform, deviceURL, json) {
+    IndigoAccessory.call(this, platform, Service.Outlet, deviceURL, json);
+
+    this.service.getCharacteristic(Characteristic.On)
+        .on('get', this.getOnState.bind(this))
+        .on('set', this.setOnState.bind(this));
+
+    this.service.getCharacteristic(Characteristic.OutletInUse)
+        .on('get', this.getOutletInUse.bind(this));
+}
+
+// Returns true if the outlet reports how much power it is drawing (energyCurLevel in Indigo, in watts)
+IndigoOutletAccessory.prototype.reportsPower = function() {
+    return (this.energyCurLevel !== undefined && this.energyCurLevel !== null);
+};
+
+// Returns true if the outlet is in use, based on its power draw if it reports one, or otherwise its on state
+IndigoOutletAccessory.prototype.isInUse = function() {
+    if (this.reportsPower()) {
+        return (Number(this.energyCurLevel) > this.platform.outletInUseWatts);
+    } else {
+        return this.convertIsOnToBoolean(this.isOn);
+    }
+};
+
+// Get whether the outlet is in use
+// callback: invokes callback(error, inUse)
+//           error: error message or undefined if no error
+//           inUse: true if the outlet is in use
+IndigoOutletAccessory.prototype.getOutletInUse = function(callback) {
+    this.getCachedStatus(
+        function(error) {
+            if (error) {
+                if (callback) {
+                    callback(error);
+                }
+            } else {
+                var inUse = this.isInUse();
+                this.log("%s: getOutletInUse() => %s", this.name, inUse);
+                if (callback) {
+                    callback(undefined, inUse);
+                }
+            }
+        }.bind(this)
+    );
+};
+
+// Update HomeKit's in use state to match the outlet's state
+IndigoOutletAccessory.prototype.updateOutletInUse = function() {
+    this.service.getCharacteristic(Characteristic.OutletInUse)
+        .setValue(this.isInUse(), undefined, IndigoAccessory.REFRESH_CONTEXT);
+};
+
+// Update HomeKit state to match state of Indigo's isOn property
+// isOn: new value of isOn property
+IndigoOutletAccessory.prototype.update_isOn = function(isOn) {
+    this.service.getCharacteristic(Characteristic.On)
+        .setValue(this.convertIsOnToBoolean(isOn), undefined, IndigoAccessory.REFRESH_CONTEXT);
+    this.updateOutletInUse();
+};
+
+// Update HomeKit state to match state of Indigo's energyCurLevel property
+// energyCurLevel: new value of energyCurLevel property (watts)
+IndigoOutletAccessory.prototype.update_energyCurLevel = function(energyCurLevel) {
+    IndigoAccessory.prototype.update_energyCurLevel.call(this, energyCurLevel);
+    this.updateOutletInUse();
+};
+
+
+//
+// Indigo Lock Accessory - Represents a lock mechanism
+//
+// platform: the HomeKit platform
+// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
+// json: the json that describes this device
+//
+function IndigoLockAccessory(platform, deviceURL, json) {
+    IndigoAccessory.call(this, platform, Service.LockMechanism, deviceURL, json);
+
+    this.service.getCharacteristic(Characteristic.LockCurrentState)
+        .on('get', this.getLockCurrentState.bind(this));
+
+    this.service.getCharacteristic(Characteristic.LockTargetState)
+        .on('get', this.getLockTargetState.bind(this))
+        .on('set', this.setLockTargetState.bind(this));
+}
+
+// Get the current lock state of the accessory
+// callback: invokes callback(error, lockState)
+//           error: error message or undefined if no error
+//           lockState: Characteristic.LockCurrentState.SECURED (device on) or Characteristic.LockCurrentState.UNSECURED (device off)
+IndigoLockAccessory.prototype.getLockCurrentState = function(callback) {
+    if (this.typeSupportsOnOff) {
+        this.getCachedStatus(
+            function(error) {
+                if (error) {
+                    if (callback) {
+                        callback(error);
+                    }
+                } else {
+                    var lockState = this.convertIsOnToValue(this.isOn, Characteristic.LockCurrentState.SECURED, Characteristic.LockCurrentState.UNSECURED);
+                    this.log("%s: getLockCurrentState() => %s", this.name, lockState);
+                    if (callback) {
+                        callback(undefined, lockState);
+                    }
+                }
+            }.bind(this)
+        );
+    }
+    else if (callback) {
+        callback("Accessory does not support on/off");
+    }
+};
+
+// Get the target lock state of the accessory
+// callback: invokes callback(error, lockState)
+//           error: error message or undefined if no error
+//           lockState: Characteristic.LockTargetState.SECURED (device on) or Characteristic.LockTargetState.UNSECURED (device off)
+IndigoLockAccessory.prototype.getLockTargetState = function(callback) {
+    if (this.typeSupportsOnOff) {
+        this.getCachedStatus(
+            function(error) {
+                if (error) {
+                    if (callback) {
+                        callback(error);
+                    }
+                } else {
+                    var lockState = this.convertIsOnToValue(this.isOn, Characteristic.LockTargetState.SECURED, Characteristic.LockTargetState.UNSECURED);
+                    this.log("%s: getLockTargetState() => %s", this.name, lockState);
+                    if (callback) {
+                        callback(undefined, lockState);
+                    }
+                }
+            }.bind(this)
+        );
+    }
+    else if (callback) {
+        callback("Accessory does not support on/off");
+    }
+};
+
+// Set the target lock state of the accessory
+// lockState: Characteristic.LockTargetState.SECURED (device on) or Characteristic.LockTargetState.UNSECURED (device off)
+// callback: invokes callback(error), error is undefined if no error occurred
+// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, and will not update LockCurrentState
+//          otherwise, calls the Indigo RESTful API and also updates LockCurrentState to match after a one second delay
+IndigoLockAccessory.prototype.setLockTargetState = function(lockState, callback, context) {
+    this.log("%s: setLockTargetState(%s)", this.name, lockState);
+    if (context == IndigoAccessory.REFRESH_CONTEXT) {
+        if (callback) {
+            callback();
+        }
+    }
+    else if (this.typeSupportsOnOff) {
+        this.updateStatus({ isOn: this.convertBooleanToIsOn(lockState == Characteristic.LockTargetState.SECURED) }, callback);
+        // Update current state to match target state
+        setTimeout(
+            function() {
+                this.service.getCharacteristic(Characteristic.LockCurrentState)
+                    .setValue((lockState == Characteristic.LockTargetState.SECURED) ?
+                                Characteristic.LockCurrentState.SECURED : Characteristic.LockCurrentState.UNSECURED,
+                                undefined, IndigoAccessory.REFRESH_CONTEXT);
+            }.bind(this),
+        1000);
+    }
+    else if (callback) {
+        callback("Accessory does not support on/off");
+    }
+};
+
+// Update HomeKit state to match state of Indigo's isOn property
+// isOn: new value of isOn property
+IndigoLockAccessory.prototype.update_isOn = function(isOn) {
+    this.service.getCharacteristic(Characteristic.LockCurrentState)
+        .setValue(this.convertIsOnToValue(isOn, Characteristic.LockCurrentState.SECURED, Characteristic.LockCurrentState.UNSECURED),
+                  undefined, IndigoAccessory.REFRESH_CONTEXT);
+    this.service.getCharacteristic(Characteristic.LockTargetState)
+        .setValue(this.convertIsOnToValue(isOn, Characteristic.LockTargetState.SECURED, Characteristic.LockTargetState.UNSECURED),
+                  undefined, IndigoAccessory.REFRESH_CONTEXT);
+};
+
+
+//
+// Indigo Position Accessory (Door, Window, or Window Covering)
+// If a travel time is configured for the device in "travelTimes", HomeKit shows its position moving towards
+// the target position over that time, instead of jumping straight to the target
+//
+// platform: the HomeKit platform
+// serviceType: the constructor for the type of HAP service to create
+// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
+// json: the json that describes this device
+//
+function IndigoPositionAccessory(platform, serviceType, deviceURL, json) {
+    IndigoAccessory.call(this, platform, serviceType, deviceURL, json);
+
+    var travelTime = platform.travelTimes[String(this.id)];
+    this.travelTime = (travelTime !== undefined) ? Number(travelTime) : 0;
+    this.currentPosition = this.getIndigoPosition();
+    this.targetPosition = this.currentPosition;
+
+    this.service.getCharacteristic(Characteristic.CurrentPosition)
+        .on('get', this.getPosition.bind(this));
+
+    this.service.getCharacteristic(Characteristic.PositionState)
+        .on('get', this.getPositionState.bind(this));
+
+    this.service.getCharacteristic(Characteristic.TargetPosition)
+        .on('get', this.getTargetPosition.bind(this))
+        .on('set', this.setTargetPosition.bind(this));
+
+    if (this.travelTime > 0 && this.supportsPositions()) {
+        this.service.getCharacteristic(Characteristic.HoldPosition)
+            .on('set', this.setHoldPosition.bind(this));
+    }
+
+    if (!isNaN(this.currentPosition)) {
+        this.setPositionCharacteristics(this.currentPosition, this.targetPosition, Characteristic.PositionState.STOPPED);
+    }
+}
+
+// Number of milliseconds between updates of HomeKit's current position while the device is moving
+IndigoPositionAccessory.MOVE_INTERVAL = 1000;
+
+// Returns true if the device can be set to any position, or false if it can only be opened or closed
+IndigoPositionAccessory.prototype.supportsPositions = function() {
+    return Boolean(this.typeSupportsDim || this.typeIsDimmer);
+};
+
+// Returns the position of the device according to Indigo
+// If device supports brightness, this is the brightness value; otherwise on=100 and off=0
+IndigoPositionAccessory.prototype.getIndigoPosition = function() {
+    if (this.supportsPositions()) {
+        return this.convertBrightness(this.brightness);
+    } else {
+        return this.convertIsOnToValue(this.isOn, 100, 0);
+    }
+};
+
+// Returns true if HomeKit is showing the device moving towards its target position
+IndigoPositionAccessory.prototype.isMoving = function() {
+    return (this.moveTimer !== undefined);
+};
+
+// Update HomeKit's position characteristics
+// currentPosition: the position the device has reached
+// targetPosition: the position the device is moving to
+// positionState: a Characteristic.PositionState value
+IndigoPositionAccessory.prototype.setPositionCharacteristics = function(currentPosition, targetPosition, positionState) {
+    this.currentPosition = currentPosition;
+    this.targetPosition = targetPosition;
+    this.service.getCharacteristic(Characteristic.TargetPosition)
+        .setValue(targetPosition, undefined, IndigoAccessory.REFRESH_CONTEXT);
+    this.service.getCharacteristic(Characteristic.CurrentPosition)
+        .setValue(currentPosition, undefined, IndigoAccessory.REFRESH_CONTEXT);
+    this.service.getCharacteristic(Characteristic.PositionState)
+        .setValue(positionState, undefined, IndigoAccessory.REFRESH_CONTEXT);
+};
+
+// Starts showing the device moving from its current position towards the target position, taking the travel time
+// to move between fully closed and fully open
+// Without a travel time, the device is shown at the target position straight away
+// targetPosition: the position the device is moving to
+IndigoPositionAccessory.prototype.startMove = function(targetPosition) {
+    this.stopMove();
+    if (this.travelTime <= 0 || isNaN(this.currentPosition) || targetPosition == this.currentPosition) {
+        this.setPositionCharacteristics(targetPosition, targetPosition, Characteristic.PositionState.STOPPED);
+        return;
+    }
+    this.moveStartPosition = this.currentPosition;
+    this.moveStartTime = Date.now();
+    this.moveTimer = setInterval(this.continueMove.bind(this), IndigoPositionAccessory.MOVE_INTERVAL);
+    this.setPositionCharacteristics(this.currentPosition, targetPosition,
+        (targetPosition > this.currentPosition) ? Characteristic.PositionState.INCREASING : Characteristic.PositionState.DECREASING);
+};
+
+// Moves HomeKit's current position along by the distance the device travels in the time since the move started,
+// and stops once it reaches the target position
+IndigoPositionAccessory.prototype.continueMove = function() {
+    var distance = (Date.now() - this.moveStartTime) * 100 / (this.travelTime * 1000);
+    var position;
+    if (this.targetPosition > this.moveStartPosition) {
+        position = Math.min(this.targetPosition, Math.round(this.moveStartPosition + distance));
+    } else {
+        position = Math.max(this.targetPosition, Math.round(this.moveStartPosition - distance));
+    }
+    if (position == this.targetPosition) {
+        this.stopMove();
+        this.setPositionCharacteristics(position, position, Characteristic.PositionState.STOPPED);
+    } else {
+        this.currentPosition = position;
+        this.service.getCharacteristic(Characteristic.CurrentPosition)
+            .setValue(position, undefined, IndigoAccessory.REFRESH_CONTEXT);
+    }
+};
+
+// Stops showing the device moving, leaving HomeKit's characteristics as they are
+IndigoPositionAccessory.prototype.stopMove = function() {
+    clearInterval(this.moveTimer);
+    this.moveTimer = undefined;
+};
+
+// Update HomeKit's position to match a position reported by Indigo
+// While the device is moving, Indigo usually reports the target position as soon as the move starts, so that
+// is left to the travel time, while a position on the way to the target moves HomeKit's current position there
+// Any other position is a new target set outside of HomeKit, which the device is shown moving to
+// Positions reported before Indigo has accepted a new target from HomeKit are out of date, so they are ignored
+// position: the position reported by Indigo
+IndigoPositionAccessory.prototype.updatePosition = function(position) {
+    if (position === undefined || isNaN(position) || this.pendingTargetCount > 0) {
+        return;
+    }
+    if (this.isMoving()) {
+        if (position == this.targetPosition) {
+            return;
+        }
+        var increasing = (this.targetPosition > this.moveStartPosition);
+        if ((increasing && position > this.currentPosition && position < this.targetPosition) ||
+            (!increasing && position < this.currentPosition && position > this.targetPosition)) {
+            this.moveStartPosition = position;
+            this.moveStartTime = Date.now();
+            this.currentPosition = position;
+            this.service.getCharacteristic(Characteristic.CurrentPosition)
+                .setValue(position, undefined, IndigoAccessory.REFRESH_CONTEXT);
+            return;
+        }
+    } else if (position == this.currentPosition && position == this.targetPosition) {
+        return;
+    }
+    this.startMove(position);
+};
+
+// Get the position of the accessory
+// callback: invokes callback(error, position)
+//           error: error message or undefined if no error
+//           position: the position HomeKit shows the device has reached, which follows Indigo's brightness if the device
+//                     supports it, otherwise on=100 and off=0
+IndigoPositionAccessory.prototype.getPosition = function(callback) {
+    if (this.typeSupportsOnOff || this.typeSupportsDim || this.typeIsDimmer) {
+        this.getCachedStatus(
+            function(error) {
+                if (error) {
+                    if (callback) {
+                        callback(error);
+                    }
+                } else {
+                    this.log("%s: getPosition() => %s", this.name, this.currentPosition);
+                    if (callback) {
+                        callback(undefined, this.currentPosition);
+                    }
+                }
+            }.bind(this)
+        );
+    }
+    else if (callback) {
+        callback("Accessory does not support on/off or dim");
+    }
+};
+
+// Get the target position of the accessory
+// callback: invokes callback(error, position)
+//           error: error message or undefined if no error
+//           position: the position the device is moving to, or its current position if it is not moving
+IndigoPositionAccessory.prototype.getTargetPosition = function(callback) {
+    if (this.typeSupportsOnOff || this.typeSupportsDim || this.typeIsDimmer) {
+        this.getCachedStatus(
+            function(error) {
+                if (error) {
+                    if (callback) {
+                        callback(error);
+                    }
+                } else {
+                    this.log("%s: getTargetPosition() => %s", this.name, this.targetPosition);
+                    if (callback) {
+                        callback(undefined, this.targetPosition);
+                    }
+                }
+            }.bind(this)
+        );
+    }
+    else if (callback) {
+        callback("Accessory does not support on/off or dim");
+    }
+};
+
+// Get the position state of the accessory
+// callback: invokes callback(error, position)
+//           error: error message or undefined if no error
+//           positionState: Characteristic.PositionState.INCREASING or DECREASING while the device is moving,
+//                          otherwise Characteristic.PositionState.STOPPED
+IndigoPositionAccessory.prototype.getPositionState = function(callback) {
+    if (this.typeSupportsOnOff || this.typeSupportsDim || this.typeIsDimmer) {
+        var positionState = Characteristic.PositionState.STOPPED;
+        if (this.isMoving()) {
+            positionState = (this.targetPosition > this.currentPosition) ?
+                Characteristic.PositionState.INCREASING : Characteristic.PositionState.DECREASING;
+        }
+        this.log("%s: getPositionState() => %s", this.name, positionState);
+        if (callback) {
+            callback(undefined, positionState);
+        }
+    }
+    else if (callback) {
+        callback("Accessory does not support on/off or dim");
+    }
+};
+
+// Set the target position of the accessory
+// position: if device supports brightness, sets brightness to equal position; otherwise turns device on if position > 0, or off otherwise
+// callback: invokes callback(error), error is undefined if no error occurred
+// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, and will not update CurrentPosition
+//          otherwise, calls the Indigo RESTful API and shows the device moving to position over its travel time
+IndigoPositionAccessory.prototype.setTargetPosition = function(position, callback, context) {
+    this.log("%s: setTargetPosition(%s)", this.name, position);
+    if (context == IndigoAccessory.REFRESH_CONTEXT) {
+        if (callback) {
+            callback();
+        }
+    }
+    else if (this.typeSupportsOnOff || this.typeSupportsDim || this.typeIsDimmer) {
+        var qs;
+        if (this.supportsPositions()) {
+            qs = { brightness: this.convertBrightness(position) };
+        } else {
+            position = (position > 0) ? 100 : 0;
+            qs = { isOn: this.convertBooleanToIsOn(position > 0) };
+        }
+        // Start moving before the update, so that Indigo reporting the new position is not taken as a new target
+        var previousPosition = this.currentPosition;
+        this.pendingTargetCount = (this.pendingTargetCount || 0) + 1;
+        this.startMove(position);
+        this.updateStatus(qs,
+            function(error) {
+                this.pendingTargetCount--;
+                // Indigo did not accept the new target (even if the device was already moving), so stop where
+                // HomeKit shows the device has reached, or where it was if it was shown at the target straight away
+                if (error && this.targetPosition == position) {
+                    var stopPosition = (this.isMoving()) ? this.currentPosition : previousPosition;
+                    this.stopMove();
+                    this.setPositionCharacteristics(stopPosition, stopPosition, Characteristic.PositionState.STOPPED);
+                }
+                if (callback) {
+                    callback(error);
+                }
+            }.bind(this)
+        );
+    }
+    else if (callback) {
+        callback("Accessory does not support on/off or dim");
+    }
+};
+
+// Stop the accessory where it is, if it is moving
+// The device is stopped by setting its brightness to the position HomeKit shows it has reached
+// hold: true to stop the device, false does nothing
+// callback: invokes callback(error), error is undefined if no error occurred
+// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device
+IndigoPositionAccessory.prototype.setHoldPosition = function(hold, callback, context) {
+    this.log("%s: setHoldPosition(%s)", this.name, hold);
+    if (context == IndigoAccessory.REFRESH_CONTEXT || !hold || !this.isMoving()) {
+        if (callback) {
+            callback();
+        }
+    }
+    else {
+        var position = this.currentPosition;
+        this.stopMove();
+        this.setPositionCharacteristics(position, position, Characteristic.PositionState.STOPPED);
+        this.updateStatus({ brightness: this.convertBrightness(position) }, callback);
+    }
+};
+
+// Update HomeKit state to match state of Indigo's isOn property
+// Does nothing if device supports brightness
+// isOn: new value of isOn property
+IndigoPositionAccessory.prototype.update_isOn = function(isOn) {
+    if (!this.supportsPositions()) {
+        this.updatePosition(this.convertIsOnToValue(isOn, 100, 0));
+    }
+};
+
+// Update HomeKit state to match state of Indigo's brightness property
+// brightness: new value of brightness property
+IndigoPositionAccessory.prototype.update_brightness = function(brightness) {
+    this.updatePosition(this.convertBrightness(brightness));
+};
+
+
+//
+// Indigo Door Accessory
+//
+// platform: the HomeKit platform
+// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
+// json: the json that describes this device
+//
+function IndigoDoorAccessory(platform, deviceURL, json) {
+    IndigoPositionAccessory.call(this, platform, Service.Door, deviceURL, json);
+}
+
+
+//
+// Indigo Window Accessory
+//
+// platform: the HomeKit platform
+// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
+// json: the json that describes this device
+//
+function IndigoWindowAccessory(platform, deviceURL, json) {
+    IndigoPositionAccessory.call(this, platform, Service.Window, deviceURL, json);
+}
+
+
+//
+// Indigo Window Covering Accessory
+// If the covering is listed in "windowCoveringTilts", the tilt of its slats comes from the brightness of a second
+// Indigo device ("deviceId"), or from a JSON key of the covering's own device ("key"), where 0 is fully tilted
+// one way and 100 fully tilted the other (reversed if "invert" is true)
+// Indigo's RESTful API cannot set device states, so the tilt can only be set from HomeKit with a tilt device
+//
+// platform: the HomeKit platform
+// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
+// json: the json that describes this device
+//
+function IndigoWindowCoveringAccessory(platform, deviceURL, json) {
+    IndigoPositionAccessory.call(this, platform, Service.WindowCovering, deviceURL, json);
+
+    var tilt = platform.windowCoveringTilts[String(this.id)];
+    if (tilt && (tilt.deviceId !== undefined || tilt.key !== undefined)) {
+        this.tiltInverted = Boolean(tilt.invert);
+        if (tilt.vertical) {
+            this.currentTiltCharacteristic = Characteristic.CurrentVerticalTiltAngle;
+            this.targetTiltCharacteristic = Characteristic.TargetVerticalTiltAngle;
+        } else {
+            this.currentTiltCharacteristic = Characteristic.CurrentHorizontalTiltAngle;
+            this.targetTiltCharacteristic = Characteristic.TargetHorizontalTiltAngle;
+        }
+        if (tilt.deviceId !== undefined) {
+            this.tiltDeviceId = String(tilt.deviceId);
+            this.watchedIds = [ this.tiltDeviceId ];
+        } else {
+            this.tiltKey = tilt.key;
+            this["update_" + this.tiltKey] = this.updateTiltAngle;
+        }
+
+        this.service.getCharacteristic(this.currentTiltCharacteristic)
+            .on('get', this.getTiltAngle.bind(this));
+
+        this.service.getCharacteristic(this.targetTiltCharacteristic)
+            .on('get', this.getTiltAngle.bind(this))
+            .on('set', this.setTargetTiltAngle.bind(this));
+        if (this.tiltDeviceId === undefined) {
+            this.service.getCharacteristic(this.targetTiltCharacteristic)
+                .setProps({ perms: [ Characteristic.Perms.READ, Characteristic.Perms.NOTIFY ] });
+        }
+
+        this.updateTiltAngle();
+    }
+}
+
+// Returns the tilt of the slats according to Indigo, from 0 to 100, or undefined if it is not known yet
+// A tilt device that only supports on/off is tilted fully one way when off, and fully the other way when on
+IndigoWindowCoveringAccessory.prototype.getTiltLevel = function() {
+    var level;
+    if (this.tiltDeviceId !== undefined) {
+        var item = this.platform.watchedItems.get(this.tiltDeviceId);
+        if (item && item.brightness !== undefined) {
+            level = item.brightness;
+        } else if (item && item.isOn !== undefined) {
+            level = (item.isOn) ? 100 : 0;
+        }
+    } else {
+        level = this[this.tiltKey];
+    }
+    if (level === undefined || level === null || isNaN(level)) {
+        return undefined;
+    }
+    return Number(level);
+};
+
+// Converts a tilt level from Indigo into a HomeKit tilt angle
+// level: the tilt of the slats, from 0 to 100
+// returns: the tilt angle, from -90 to 90 degrees
+IndigoWindowCoveringAccessory.prototype.convertTiltLevelToAngle = function(level) {
+    var angle = Math.round(level * 1.8 - 90);
+    return (this.tiltInverted) ? -angle : angle;
+};
+
+// Converts a HomeKit tilt angle into a tilt level for Indigo
+// angle: the tilt angle, from -90 to 90 degrees
+// returns: the tilt of the slats, from 0 to 100
+IndigoWindowCoveringAccessory.prototype.convertTiltAngleToLevel = function(angle) {
+    if (this.tiltInverted) {
+        angle = -angle;
+    }
+    return Math.round((angle + 90) / 1.8);
+};
+
+// Calls the Indigo RESTful API to get the latest state of the covering's device and its tilt device, if it has one
+// callback: invokes callback(error), error is undefined if no error occurred
+// updateCallback: optional, invokes updateCallback(propertyName, propertyValue) for each property of the device that has changed value
+IndigoWindowCoveringAccessory.prototype.getStatus = function(callback, updateCallback) {
+    IndigoAccessory.prototype.getStatus.call(this,
+        function(error) {
+            if (error || this.tiltDeviceId === undefined) {
+                if (callback) {
+                    callback(error);
+                }
+            } else {
+                this.platform.fetchWatchedItem(this.tiltDeviceId, callback);
+            }
+        }.bind(this),
+        updateCallback
+    );
+};
+
+// Polls the covering's device, and its tilt device unless it is an accessory that is polled on its own
+// callback: invokes callback(error), error is undefined if no error occurred
+IndigoWindowCoveringAccessory.prototype.poll = function(callback) {
+    IndigoAccessory.prototype.poll.call(this,
+        function(error) {
+            if (error || this.tiltDeviceId === undefined || this.platform.accessoryMap.has(this.tiltDeviceId)) {
+                if (callback) {
+                    callback(error);
+                }
+            } else {
+                this.platform.fetchWatchedItem(this.tiltDeviceId, callback);
+            }
+        }.bind(this)
+    );
+};
+
+// Update HomeKit's tilt angle to match the latest state of the covering's tilt device
+IndigoWindowCoveringAccessory.prototype.refreshWatchedItems = function() {
+    this.updateTiltAngle();
+};
+
+// Get the tilt angle of the covering's slats
+// callback: invokes callback(error, angle)
+//           error: error message or undefined if no error
+//           angle: the tilt angle, from -90 to 90 degrees
+IndigoWindowCoveringAccessory.prototype.getTiltAngle = function(callback) {
+    this.getCachedStatus(
+        function(error) {
+            var level = this.getTiltLevel();
+            if (!error && level === undefined) {
+                error = "Tilt of window covering is not known";
+            }
+            if (error) {
+                if (callback) {
+                    callback(error);
+                }
+            } else {
+                var angle = this.convertTiltLevelToAngle(level);
+                this.log("%s: getTiltAngle() => %s", this.name, angle);
+                if (callback) {
+                    callback(undefined, angle);
+                }
+            }
+        }.bind(this)
+    );
+};
+
+// Set the target tilt angle of the covering's slats
+// angle: the tilt angle, from -90 to 90 degrees
+// callback: invokes callback(error), error is undefined if no error occurred
+// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device
+//          otherwise, calls the Indigo RESTful API to set the brightness of the tilt device
+//          (a tilt that comes from a JSON key of the covering's device cannot be set)
+IndigoWindowCoveringAccessory.prototype.setTargetTiltAngle = function(angle, callback, context) {
+    this.log("%s: setTargetTiltAngle(%s)", this.name, angle);
+    var level = this.convertTiltAngleToLevel(angle);
+    var item = this.platform.watchedItems.get(this.tiltDeviceId);
+
+    if (context == IndigoAccessory.REFRESH_CONTEXT) {
+        if (callback) {
+            callback();
+        }
+    } else if (this.tiltDeviceId === undefined) {
+        if (callback) {
+            callback("Window covering's tilt cannot be set without a tilt device");
+        }
+    } else if (!item || !item.deviceURL) {
+        if (callback) {
+            callback("Window covering's tilt device has not been discovered");
+        }
+    } else {
+        this.platform.indigoRequest(item.deviceURL, "PUT", { brightness: level },
+            function(error, response, body) {
+                if (!error) {
+                    this.service.getCharacteristic(this.currentTiltCharacteristic)
+                        .setValue(angle, undefined, IndigoAccessory.REFRESH_CONTEXT);
+                    this.platform.fetchWatchedItem(this.tiltDeviceId);
+                }
+                if (callback) {
+                    callback(error);
+                }
+            }.bind(this)
+        );
+    }
+};
+
+// Update HomeKit's tilt angle to match the tilt reported by Indigo
+// Invoked as update_KEY for the covering's tilt key, or when its tilt device changes
+IndigoWindowCoveringAccessory.prototype.updateTiltAngle = function() {
+    var level = this.getTiltLevel();
+    if (level !== undefined) {
+        var angle = this.convertTiltLevelToAngle(level);
+        this.service.getCharacteristic(this.currentTiltCharacteristic)
+            .setValue(angle, undefined, IndigoAccessory.REFRESH_CONTEXT);
+        this.service.getCharacteristic(this.targetTiltCharacteristic)
+            .setValue(angle, undefined, IndigoAccessory.REFRESH_CONTEXT);
+    }
+};
+
+
+//
+// Indigo Garage Door Accessory
+// The door is either a single Indigo device whose on state is the door's state (on = open), or a relay that
+// operates the opener, optionally with a separate sensor device that reports whether the door is open
+// While a door operated by a relay is travelling, HomeKit shows it opening or closing, and if the sensor does not
+// report the expected state once the travel time has passed, the door is shown as stopped with an obstruction
+//
+// platform: the HomeKit platform
+// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
+// json: the json that describes this device
+// garageDoor: optional, the door's entry in "garageDoors" for a relay, with its "relayId", and optionally
+//             a "sensorId" (on = open) and "travelTime" (in seconds)
+//
+function IndigoGarageDoorAccessory(platform, deviceURL, json, garageDoor) {
+    IndigoAccessory.call(this, platform, Service.GarageDoorOpener, deviceURL, json);
+
+    this.usesRelay = Boolean(garageDoor);
+    if (garageDoor) {
+        this.travelTime = IndigoGarageDoorAccessory.DEFAULT_TRAVEL_TIME;
+        if (garageDoor.sensorId !== undefined) {
+            this.sensorId = String(garageDoor.sensorId);
+            this.watchedIds = [ this.sensorId ];
+        }
+        if (garageDoor.travelTime !== undefined) {
+            this.travelTime = Number(garageDoor.travelTime);
+        }
+    }
+
+    var doorOpen = this.isDoorOpen();
+    this.doorStateKnown = (doorOpen !== undefined);
+    this.targetDoorState = (doorOpen) ? Characteristic.TargetDoorState.OPEN : Characteristic.TargetDoorState.CLOSED;
+    this.currentDoorState = (doorOpen) ? Characteristic.CurrentDoorState.OPEN : Characteristic.CurrentDoorState.CLOSED;
+    this.obstructionDetected = false;
+
+    this.service.getCharacteristic(Characteristic.CurrentDoorState)
+        .on('get', this.getCurrentDoorState.bind(this));
+
+    this.service.getCharacteristic(Characteristic.TargetDoorState)
+        .on('get', this.getTargetDoorState.bind(this))
+        .on('set', this.setTargetDoorState.bind(this));
+
+    this.service.getCharacteristic(Characteristic.ObstructionDetected)
+        .on('get', this.getObstructionDetected.bind(this));
+
+    this.setDoorState(this.currentDoorState, this.targetDoorState, this.obstructionDetected);
+}
+
+// Number of seconds the door takes to open or close, if not configured
+IndigoGarageDoorAccessory.DEFAULT_TRAVEL_TIME = 15;
+
+// Returns true if the door has a way of reporting whether it is open (its own on state, or a sensor)
+// Doors operated by a relay without a sensor are assumed to reach their target once the travel time has passed
+IndigoGarageDoorAccessory.prototype.hasSensor = function() {
+    return (!this.usesRelay || this.sensorId !== undefined);
+};
+
+// Returns true if the door is open, false if it is closed, or undefined if that is not known yet
+// Doors without a sensor are open if they were last opened from HomeKit, which is remembered in the accessory's context
+IndigoGarageDoorAccessory.prototype.isDoorOpen = function() {
+    if (!this.usesRelay) {
+        return this.convertIsOnToBoolean(this.isOn);
+    } else if (this.sensorId !== undefined) {
+        var sensor = this.platform.watchedItems.get(this.sensorId);
+        if (!sensor || sensor.isOn === undefined) {
+            return undefined;
+        }
+        return (this.platform.invertOnOffId(this.sensorId)) ? !sensor.isOn : Boolean(sensor.isOn);
+    } else {
+        return Boolean(this.accessory.context.doorOpen);
+    }
+};
+
+// Returns true if the door is travelling to its target state
+IndigoGarageDoorAccessory.prototype.isMoving = function() {
+    return (this.moveTimer !== undefined);
+};
+
+// Update HomeKit's door state
+// currentDoorState: a Characteristic.CurrentDoorState value
+// targetDoorState: a Characteristic.TargetDoorState value
+// obstructionDetected: true if the door did not reach its target state
+IndigoGarageDoorAccessory.prototype.setDoorState = function(currentDoorState, targetDoorState, obstructionDetected) {
+    this.currentDoorState = currentDoorState;
+    this.targetDoorState = targetDoorState;
+    this.obstructionDetected = obstructionDetected;
+    this.service.getCharacteristic(Characteristic.TargetDoorState)
+        .setValue(targetDoorState, undefined, IndigoAccessory.REFRESH_CONTEXT);
+    this.service.getCharacteristic(Characteristic.CurrentDoorState)
+        .setValue(currentDoorState, undefined, IndigoAccessory.REFRESH_CONTEXT);
+    this.service.getCharacteristic(Characteristic.ObstructionDetected)
+        .setValue(obstructionDetected, undefined, IndigoAccessory.REFRESH_CONTEXT);
+};
+
+// Shows the door as opening or closing, and checks that it has reached its target state once the travel time has passed
+// targetDoorState: a Characteristic.TargetDoorState value
+IndigoGarageDoorAccessory.prototype.startMove = function(targetDoorState) {
+    var opening = (targetDoorState == Characteristic.TargetDoorState.OPEN);
+    this.log("%s: Door is %s", this.name, (opening) ? "opening" : "closing");
+    clearTimeout(this.moveTimer);
+    this.moveTimer = setTimeout(this.finishMove.bind(this), this.travelTime * 1000);
+    this.setDoorState(
+        (opening) ? Characteristic.CurrentDoorState.OPENING : Characteristic.CurrentDoorState.CLOSING,
+        targetDoorState, false);
+};
+
+// Sets the door's final state once it has stopped travelling
+// If its sensor does not report the target state, the door is shown as stopped with an obstruction
+IndigoGarageDoorAccessory.prototype.finishMove = function() {
+    clearTimeout(this.moveTimer);
+    this.moveTimer = undefined;
+    var opening = (this.targetDoorState == Characteristic.TargetDoorState.OPEN);
+    if (!this.hasSensor()) {
+        this.accessory.context.doorOpen = opening;
+        this.platform.api.updatePlatformAccessories([ this.accessory ]);
+    } else if (this.isDoorOpen() !== opening) {
+        this.log("%s: Door did not %s within %d seconds", this.name, (opening) ? "open" : "close", this.travelTime);
+        this.setDoorState(Characteristic.CurrentDoorState.STOPPED, this.targetDoorState, true);
+        return;
+    }
+    this.setDoorState(
+        (opening) ? Characteristic.CurrentDoorState.OPEN : Characteristic.CurrentDoorState.CLOSED,
+        this.targetDoorState, false);
+};
+
+// Update HomeKit's door state to match a change in whether Indigo reports the door is open
+// A closed door has finished closing, but an open door may still be opening (e.g. a tilt sensor reports open
+// as soon as the door starts to move), so it is shown as opening until the travel time has passed
+IndigoGarageDoorAccessory.prototype.updateDoorState = function() {
+    var doorOpen = this.isDoorOpen();
+    if (doorOpen === undefined || !this.hasSensor()) {
+        return;
+    }
+    if (!this.usesRelay) {
+        // A single device is the door's state, without any travel
+        this.setDoorState(
+            (doorOpen) ? Characteristic.CurrentDoorState.OPEN : Characteristic.CurrentDoorState.CLOSED,
+            (doorOpen) ? Characteristic.TargetDoorState.OPEN : Characteristic.TargetDoorState.CLOSED,
+            false);
+    } else if (!this.doorStateKnown) {
+        // First report from a sensor that was not yet discovered when the accessory was created
+        this.doorStateKnown = true;
+        this.setDoorState(
+            (doorOpen) ? Characteristic.CurrentDoorState.OPEN : Characteristic.CurrentDoorState.CLOSED,
+            (doorOpen) ? Characteristic.TargetDoorState.OPEN : Characteristic.TargetDoorState.CLOSED,
+            false);
+    } else if (this.isMoving()) {
+        if (!doorOpen && this.targetDoorState == Characteristic.TargetDoorState.CLOSED) {
+            this.finishMove();
+        }
+    } else if (!doorOpen) {
+        this.setDoorState(Characteristic.CurrentDoorState.CLOSED, Characteristic.TargetDoorState.CLOSED, false);
+    } else if (this.currentDoorState == Characteristic.CurrentDoorState.CLOSED) {
+        // Opened by something other than HomeKit
+        this.startMove(Characteristic.TargetDoorState.OPEN);
+    }
+};
+
+// Calls the Indigo RESTful API to get the latest state of the door's device and its sensor, if it has one
+// callback: invokes callback(error), error is undefined if no error occurred
+// updateCallback: optional, invokes updateCallback(propertyName, propertyValue) for each property of the device that has changed value
+IndigoGarageDoorAccessory.prototype.getStatus = function(callback, updateCallback) {
+    IndigoAccessory.prototype.getStatus.call(this,
+        function(error) {
+            if (error || this.sensorId === undefined) {
+                if (callback) {
+                    callback(error);
+                }
+            } else {
+                this.platform.fetchWatchedItem(this.sensorId, callback);
+            }
+        }.bind(this),
+        updateCallback
+    );
+};
+
+// Polls the door's device, and its sensor unless it is an accessory that is polled on its own
+// callback: invokes callback(error), error is undefined if no error occurred
+IndigoGarageDoorAccessory.prototype.poll = function(callback) {
+    IndigoAccessory.prototype.poll.call(this,
+        function(error) {
+            if (error || this.sensorId === undefined || this.platform.accessoryMap.has(this.sensorId)) {
+                if (callback) {
+                    callback(error);
+                }
+            } else {
+                this.platform.fetchWatchedItem(this.sensorId, callback);
+            }
+        }.bind(this)
+    );
+};
+
+// Update HomeKit's door state to match the latest state of the door's sensor
+IndigoGarageDoorAccessory.prototype.refreshWatchedItems = function() {
+    this.updateDoorState();
+};
+
+// Get the current door state of the accessory
+// callback: invokes callback(error, doorState)
+//           error: error message or undefined if no error
+//           doorState: a Characteristic.CurrentDoorState value
+IndigoGarageDoorAccessory.prototype.getCurrentDoorState = function(callback) {
+    if (this.typeSupportsOnOff) {
+        this.getCachedStatus(
+            function(error) {
+                if (error) {
+                    if (callback) {
+                        callback(error);
+                    }
+                } else {
+                    this.updateDoorState();
+                    this.log("%s: getCurrentDoorState() => %s", this.name, this.currentDoorState);
+                    if (callback) {
+                        callback(undefined, this.currentDoorState);
+                    }
+                }
+            }.bind(this)
+        );
+    }
+    else if (callback) {
+        callback("Accessory does not support on/off");
+    }
+};
+
+// Get the target door state of the accessory
+// callback: invokes callback(error, doorState)
+//           error: error message or undefined if no error
+//           doorState: Characteristic.TargetDoorState.OPEN or Characteristic.TargetDoorState.CLOSED
+IndigoGarageDoorAccessory.prototype.getTargetDoorState = function(callback) {
+    if (this.typeSupportsOnOff) {
+        this.getCachedStatus(
+            function(error) {
+                if (error) {
+                    if (callback) {
+                        callback(error);
+                    }
+                } else {
+                    this.updateDoorState();
+                    this.log("%s: getTargetDoorState() => %s", this.name, this.targetDoorState);
+                    if (callback) {
+                        callback(undefined, this.targetDoorState);
+                    }
+                }
+            }.bind(this)
+        );
+    }
+    else if (callback) {
+        callback("Accessory does not support on/off");
+    }
+};
+
+// Set the target door state of the accessory
+// A door operated by a relay is opened and closed by turning the relay on (it should be momentary),
+// so the relay is left alone if the door is already in the target state
+// doorState: Characteristic.TargetDoorState.OPEN (device on) or Characteristic.TargetDoorState.CLOSED (device off)
+// callback: invokes callback(error), error is undefined if no error occurred
+// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device,
+//          otherwise calls the Indigo RESTful API and, for a door operated by a relay, shows the door as opening or closing
+//          until it has finished travelling, or for a single device, updates CurrentDoorState to match after a one second delay
+IndigoGarageDoorAccessory.prototype.setTargetDoorState = function(doorState, callback, context) {
+    this.log("%s: setTargetDoorState(%s)", this.name, doorState);
+    var opening = (doorState == Characteristic.TargetDoorState.OPEN);
+    if (context == IndigoAccessory.REFRESH_CONTEXT) {
+        if (callback) {
+            callback();
+        }
+    }
+    else if (!this.typeSupportsOnOff) {
+        if (callback) {
+            callback("Accessory does not support on/off");
+        }
+    }
+    else if (!this.usesRelay) {
+        this.updateStatus({ isOn: this.convertBooleanToIsOn(opening) }, callback);
+        // Update current state to match target state
+        setTimeout(
+            function() {
+                this.setDoorState(
+                    (opening) ? Characteristic.CurrentDoorState.OPEN : Characteristic.CurrentDoorState.CLOSED,
+                    doorState, false);
+            }.bind(this),
+        1000);
+    }
+    else if (!this.isMoving() && this.currentDoorState ==
+             ((opening) ? Characteristic.CurrentDoorState.OPEN : Characteristic.CurrentDoorState.CLOSED)) {
+        this.targetDoorState = doorState;
+        if (callback) {
+            callback();
+        }
+    }
+    else {
+        this.updateStatus({ isOn: 1 },
+            function(error) {
+                if (!error) {
+                    this.startMove(doorState);
+                }
+                if (callback) {
+                    callback(error);
+                }
+            }.bind(this)
+        );
+    }
+};
+
+// Get the obstruction detected state of the accessory
+// callback: invokes callback(error, obstructionDetected)
+//           error: error message or undefined if no error
+//           obstructionDetected: true if a door operated by a relay did not reach its target state within its travel time
+IndigoGarageDoorAccessory.prototype.getObstructionDetected = function(callback) {
+    if (this.typeSupportsOnOff) {
+        this.log("%s: getObstructionDetected() => %s", this.name, this.obstructionDetected);
+        if (callback) {
+            callback(undefined, this.obstructionDetected);
+        }
+    }
+    else if (callback) {
+        callback("Accessory does not support on/off");
+    }
+};
+
+// Update HomeKit state to match state of Indigo's isOn property
+// The on state of a relay is ignored, as it does not say whether the door is open
+// isOn: new value of isOn property
+IndigoGarageDoorAccessory.prototype.update_isOn = function(isOn) {
+    this.updateDoorState();
+};
+
+
+//
+// Indigo Motion Sensor Accessory
+//
+// platform: the HomeKit platform
+// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
+// json: the json that describes this device
+//
+function IndigoMotionSensorAccessory(platform, deviceURL, json) {
+    IndigoAccessory.call(this, platform, Service.MotionSensor, deviceURL, json);
+
+    this.service.getCharacteristic(Characteristic.MotionDetected)
+        .on('get', this.getOnState.bind(this));
+}
+
+// Update HomeKit state to match state of Indigo's isOn property
+// isOn: new value of isOn property
+IndigoMotionSensorAccessory.prototype.update_isOn = function(isOn) {
+    this.service.getCharacteristic(Characteristic.MotionDetected)
+        .setValue(this.convertIsOnToBoolean(isOn), undefined, IndigoAccessory.REFRESH_CONTEXT);
+    this.recordHistory();
+};
+
+// Returns the current values that are recorded in the accessory's Eve history
+IndigoMotionSensorAccessory.prototype.getHistoryValues = function() {
+    var values = IndigoAccessory.prototype.getHistoryValues.call(this);
+    values.motion = (this.convertIsOnToBoolean(this.isOn)) ? 1 : 0;
+    return values;
+};
+
+
+//
+// Indigo Contact Sensor Accessory
+//
+// platform: the HomeKit platform
+// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
+// json: the json that describes this device
+//
+function IndigoContactSensorAccessory(platform, deviceURL, json) {
+    IndigoAccessory.call(this, platform, Service.ContactSensor, deviceURL, json);
+
+    this.service.getCharacteristic(Characteristic.ContactSensorState)
+        .on('get', this.getOnState.bind(this));
+}
+
+// Update HomeKit state to match state of Indigo's isOn property
+// isOn: new value of isOn property
+IndigoContactSensorAccessory.prototype.update_isOn = function(isOn) {
+    this.service.getCharacteristic(Characteristic.ContactSensorState)
+        .setValue(this.convertIsOnToBoolean(isOn), undefined, IndigoAccessory.REFRESH_CONTEXT);
+    this.recordHistory();
+};
+
+// Returns the current values that are recorded in the accessory's Eve history
+// The Eve app shows 1 as open, which matches HomeKit's contact sensor state
+IndigoContactSensorAccessory.prototype.getHistoryValues = function() {
+    var values = IndigoAccessory.prototype.getHistoryValues.call(this);
+    values.contact = (this.convertIsOnToBoolean(this.isOn)) ? 1 : 0;
+    return values;
+};
+
+
+//
+// Indigo Binary Sensor Accessory (Leak, Smoke, Carbon Monoxide or Occupancy)
+//
+// platform: the HomeKit platform
+// serviceType: the constructor for the type of HAP service to create
+// characteristic: the constructor for the HAP characteristic that holds the detected state
+// detectedValue: the characteristic value for when the device is on (detected)
+// notDetectedValue: the characteristic value for when the device is off (not detected)
+// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
+// json: the json that describes this device
+//
+function IndigoBinarySensorAccessory(platform, serviceType, characteristic, detectedValue, notDetectedValue, deviceURL, json) {
+    IndigoAccessory.call(this, platform, serviceType, deviceURL, json);
+
+    this.sensorCharacteristic = characteristic;
+    this.detectedValue = detectedValue;
+    this.notDetectedValue = notDetectedValue;
+
+    this.service.getCharacteristic(this.sensorCharacteristic)
+        .on('get', this.getDetectedState.bind(this));
+}
+
+// Get the detected state of the accessory
+// callback: invokes callback(error, detectedState)
+//           error: error message or undefined if no error
+//           detectedState: detectedValue (device on) or notDetectedValue (device off)
+IndigoBinarySensorAccessory.prototype.getDetectedState = function(callback) {
+    if (this.typeSupportsOnOff) {
+        this.getCachedStatus(
+            function(error) {
+                if (error) {
+                    if (callback) {
+                        callback(error);
+                    }
+                } else {
+                    var detectedState = this.convertIsOnToValue(this.isOn, this.detectedValue, this.notDetectedValue);
+                    this.log("%s: getDetectedState() => %s", this.name, detectedState);
+                    if (callback) {
+                        callback(undefined, detectedState);
+                    }
+                }
+            }.bind(this)
+        );
+    }
+    else if (callback) {
+        callback("Accessory does not support on/off");
+    }
+};
+
+// Update HomeKit state to match state of Indigo's isOn property
+// isOn: new value of isOn property
+IndigoBinarySensorAccessory.prototype.update_isOn = function(isOn) {
+    this.service.getCharacteristic(this.sensorCharacteristic)
+        .setValue(this.convertIsOnToValue(isOn, this.detectedValue, this.notDetectedValue),
+                  undefined, IndigoAccessory.REFRESH_CONTEXT);
+};
+
+
+//
+// Indigo Leak Sensor Accessory
+//
+// platform: the HomeKit platform
+// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
+// json: the json that describes this device
+//
+function IndigoLeakSensorAccessory(platform, deviceURL, json) {
+    IndigoBinarySensorAccessory.call(this, platform, Service.LeakSensor, Characteristic.LeakDetected,
+                                     Characteristic.LeakDetected.LEAK_DETECTED,
+                                     Characteristic.LeakDetected.LEAK_NOT_DETECTED,
+                                     deviceURL, json);
+}
+
+
+//
+// Indigo Smoke Sensor Accessory
+//
+// platform: the HomeKit platform
+// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
+// json: the json that describes this device
+//
+function IndigoSmokeSensorAccessory(platform, deviceURL, json) {
+    IndigoBinarySensorAccessory.call(this, platform, Service.SmokeSensor, Characteristic.SmokeDetected,
+                                     Characteristic.SmokeDetected.SMOKE_DETECTED,
+                                     Characteristic.SmokeDetected.SMOKE_NOT_DETECTED,
+                                     deviceURL, json);
+}
+
+
+//
+// Indigo Carbon Monoxide Sensor Accessory
+//
+// platform: the HomeKit platform
+// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
+// json: the json that describes this device
+//
+function IndigoCarbonMonoxideSensorAccessory(platform, deviceURL, json) {
+    IndigoBinarySensorAccessory.call(this, platform, Service.CarbonMonoxideSensor, Characteristic.CarbonMonoxideDetected,
+                                     Characteristic.CarbonMonoxideDetected.CO_LEVELS_ABNORMAL,
+                                     Characteristic.CarbonMonoxideDetected.CO_LEVELS_NORMAL,
+                                     deviceURL, json);
+}
+
+
+//
+// Indigo Occupancy Sensor Accessory
+//
+// platform: the HomeKit platform
+// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
+// json: the json that describes this device
+//
+function IndigoOccupancySensorAccessory(platform, deviceURL, json) {
+    IndigoBinarySensorAccessory.call(this, platform, Service.OccupancySensor, Characteristic.OccupancyDetected,
+                                     Characteristic.OccupancyDetected.OCCUPANCY_DETECTED,
+                                     Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED,
+                                     deviceURL, json);
+}
+
+
+//
+// Indigo Doorbell Accessory - Rings HomeKit's doorbell when the device turns on, or when the listener is asked to ring it
+//
+// platform: the HomeKit platform
+// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
+// json: the json that describes this device
+//
+function IndigoDoorbellAccessory(platform, deviceURL, json) {
+    IndigoAccessory.call(this, platform, Service.Doorbell, deviceURL, json);
+}
+
+// Number of milliseconds after a ring during which further presses are ignored
+IndigoDoorbellAccessory.DEBOUNCE_TIME = 5000;
+
+// Sends a doorbell press to HomeKit, unless the doorbell has already rung within DEBOUNCE_TIME
+IndigoDoorbellAccessory.prototype.ring = function() {
+    var now = Date.now();
+    if (this.lastRingTime !== undefined && now - this.lastRingTime < IndigoDoorbellAccessory.DEBOUNCE_TIME) {
+        this.log("%s: Ignoring repeated doorbell press", this.name);
+        return;
+    }
+    this.lastRingTime = now;
+    this.log("%s: Ringing doorbell", this.name);
+    this.service.getCharacteristic(Characteristic.ProgrammableSwitchEvent)
+        .setValue(Characteristic.ProgrammableSwitchEvent.SINGLE_PRESS, undefined, IndigoAccessory.REFRESH_CONTEXT);
+};
+
+// Rings the doorbell when Indigo's isOn property turns on
+// isOn: new value of isOn property
+IndigoDoorbellAccessory.prototype.update_isOn = function(isOn) {
+    if (this.convertIsOnToBoolean(isOn)) {
+        this.ring();
+    }
+};
+
+
+//
+// Indigo Sensor Accessory (Temperature, Humidity or Light Level)
+//
+// platform: the HomeKit platform
+// serviceType: the constructor for the type of HAP service to create
+// characteristic: the constructor for the HAP characteristic that holds the sensor's value
+// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
+// json: the json that describes this device
+// valueKey: the JSON key of the sensor's value (optional, defaults to "sensorValue")
+//
+function IndigoSensorAccessory(platform, serviceType, characteristic, deviceURL, json, valueKey) {
+    IndigoAccessory.call(this, platform, serviceType, deviceURL, json);
+
+    this.sensorCharacteristic = characteristic;
+    this.valueKey = valueKey || "sensorValue";
+    if (this.valueKey != "sensorValue") {
+        this.log("%s: Using %s as the sensor value", this.name, this.valueKey);
+    }
+
+    // The update function is named after whichever JSON key holds the value
+    this["update_" + this.valueKey] = this.updateSensorValue;
+
+    this.service.getCharacteristic(this.sensorCharacteristic)
+        .on('get', this.getSensorValue.bind(this));
+}
+
+// Converts the sensor's value from Indigo into the units and range HomeKit expects
+// Subclasses override this to do unit conversions
+// value: the sensor's value from Indigo
+// Returns the converted number, or NaN if the value is not a number
+IndigoSensorAccessory.prototype.convertSensorValue = function(value) {
+    return parseFloat(value);
+};
+
+// Get the value of the sensor
+// callback: invokes callback(error, value)
+//           error: error message or undefined if no error
+//           value: the sensor's value, converted for HomeKit
+IndigoSensorAccessory.prototype.getSensorValue = function(callback) {
+    this.getCachedStatus(
+        function(error) {
+            if (error) {
+                if (callback) {
+                    callback(error);
+                }
+            } else {
+                var value = this.convertSensorValue(this[this.valueKey]);
+                this.log("%s: getSensorValue() => %s", this.name, value);
+                if (callback) {
+                    if (isNaN(value)) {
+                        callback("Sensor value is not a number");
+                    } else {
+                        callback(undefined, value);
+                    }
+                }
+            }
+        }.bind(this)
+    );
+};
+
+// Returns the current values that are recorded in the accessory's Eve history
+// Sensors whose historyField is set record their value under that field
+IndigoSensorAccessory.prototype.getHistoryValues = function() {
+    var values = IndigoAccessory.prototype.getHistoryValues.call(this);
+    if (this.historyField) {
+        values[this.historyField] = this.convertSensorValue(this[this.valueKey]);
+    }
+    return values;
+};
+
+// Update HomeKit state to match state of Indigo's sensor value property (see valueKey)
+// value: new value of the sensor value property
+IndigoSensorAccessory.prototype.updateSensorValue = function(value) {
+    var v = this.convertSensorValue(value);
+    if (!isNaN(v)) {
+        this.service.getCharacteristic(this.sensorCharacteristic)
+            .setValue(v, undefined, IndigoAccessory.REFRESH_CONTEXT);
+    }
+};
+
+
+//
+// Indigo Temperature Sensor Accessory - values are in Indigo's units (see thermostatsInCelsius)
+//
+// platform: the HomeKit platform
+// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
+// json: the json that describes this device
+// valueKey: the JSON key of the sensor's value (optional, defaults to "sensorValue")
+//
+function IndigoTemperatureSensorAccessory(platform, deviceURL, json, valueKey) {
+    IndigoSensorAccessory.call(this, platform, Service.TemperatureSensor, Characteristic.CurrentTemperature,
+                               deviceURL, json, valueKey);
+
+    this.service.getCharacteristic(Characteristic.CurrentTemperature)
+        .setProps({minValue: -50});
+}
+
+// The field that the temperature is recorded in for the Eve history
+IndigoTemperatureSensorAccessory.prototype.historyField = "temperature";
+
+// Converts a temperature in Indigo's units into celsius
+// value: the temperature from Indigo
+IndigoTemperatureSensorAccessory.prototype.convertSensorValue = function(value) {
+    var t = parseFloat(value);
+    return (isNaN(t)) ? t : this.indigoTempToCelsius(t);
+};
+
+
+//
+// Indigo Humidity Sensor Accessory - values are relative humidity percentages
+//
+// platform: the HomeKit platform
+// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
+// json: the json that describes this device
+// valueKey: the JSON key of the sensor's value (optional, defaults to "sensorValue")
+//
+function IndigoHumiditySensorAccessory(platform, deviceURL, json, valueKey) {
+    IndigoSensorAccessory.call(this, platform, Service.HumiditySensor, Characteristic.CurrentRelativeHumidity,
+                               deviceURL, json, valueKey);
+}
+
+// The field that the humidity is recorded in for the Eve history
+IndigoHumiditySensorAccessory.prototype.historyField = "humidity";
+
+// Limits the humidity to HomeKit's range of 0 to 100 percent
+// value: the humidity from Indigo
+IndigoHumiditySensorAccessory.prototype.convertSensorValue = function(value) {
+    var h = parseFloat(value);
+    return (isNaN(h)) ? h : Math.min(Math.max(h, 0), 100);
+};
+
+
+//
+// Indigo Light Sensor Accessory - values are in lux
+//
+// platform: the HomeKit platform
+// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
+// json: the json that describes this device
+// valueKey: the JSON key of the sensor's value (optional, defaults to "sensorValue")
+//
+function IndigoLightSensorAccessory(platform, deviceURL, json, valueKey) {
+    IndigoSensorAccessory.call(this, platform, Service.LightSensor, Characteristic.CurrentAmbientLightLevel,
+                               deviceURL, json, valueKey);
+}
+
+// Limits the light level to HomeKit's minimum of 0.0001 lux
+// value: the light level from Indigo
+IndigoLightSensorAccessory.prototype.convertSensorValue = function(value) {
+    var l = parseFloat(value);
+    return (isNaN(l)) ? l : Math.max(l, 0.0001);
+};
+
+
+// Converts a color from hue/saturation/value to red/green/blue
+// hue: 0-360
+// saturation: 0-100
+// value: 0-100
+// Returns { red: 0-100, green: 0-100, blue: 0-100 }
+function hsvToRgb(hue, saturation, value) {
+    var v = value / 100.0;
+    var c = v * (saturation / 100.0);
+    var h = ((hue % 360) + 360) % 360 / 60.0;
+    var x = c * (1 - Math.abs(h % 2 - 1));
+    var r = 0, g = 0, b = 0;
+    if (h < 1) {
+        r = c; g = x;
+    } else if (h < 2) {
+        r = x; g = c;
+    } else if (h < 3) {
+        g = c; b = x;
+    } else if (h < 4) {
+        g = x; b = c;
+    } else if (h < 5) {
+        r = x; b = c;
+    } else {
+        r = c; b = x;
+    }
+    var m = v - c;
+    return {
+        red: Math.round((r + m) * 100),
+        green: Math.round((g + m) * 100),
+        blue: Math.round((b + m) * 100)
+    };
+}
+
+// Converts a color from red/green/blue to hue/saturation/value
+// red, green, blue: 0-100
+// Returns { hue: 0-360, saturation: 0-100, value: 0-100 }
+function rgbToHsv(red, green, blue) {
+    var r = red / 100.0, g = green / 100.0, b = blue / 100.0;
+    var max = Math.max(r, g, b);
+    var delta = max - Math.min(r, g, b);
+    var h = 0;
+    if (delta > 0) {
+        if (max == r) {
+            h = 60 * (((g - b) / delta) % 6);
+        } else if (max == g) {
+            h = 60 * (((b - r) / delta) + 2);
         } else {
-            this.updateStatus({ isOn: this.convertBooleanToIsOn(position > 0) }, callback);
+            h = 60 * (((r - g) / delta) + 4);
+        }
+    }
+    if (h < 0) {
+        h += 360;
+    }
+    return {
+        hue: Math.round(h) % 360,
+        saturation: (max > 0) ? Math.round(delta / max * 100) : 0,
+        value: Math.round(max * 100)
+    };
+}
+
+
+//
+// Indigo Light Accessory
+//
+// platform: the HomeKit platform
+// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
+// json: the json that describes this device
+//
+function IndigoLightAccessory(platform, deviceURL, json) {
+    IndigoAccessory.call(this, platform, Service.Lightbulb, deviceURL, json);
+
+    if (this.brightness) {
+        this.previousBrightness = this.brightness;
+    }
+
+    this.service.getCharacteristic(Characteristic.On)
+        .on('get', this.getOnState.bind(this))
+        .on('set', this.setLightOnState.bind(this));
+
+    if (this.typeSupportsDim || this.typeIsDimmer) {
+        this.service.getCharacteristic(Characteristic.Brightness)
+            .on('get', this.getBrightness.bind(this))
+            .on('set', this.setBrightness.bind(this));
+    }
+
+    if (this.hasColor()) {
+        this.service.getCharacteristic(Characteristic.Hue)
+            .on('get', this.getHue.bind(this))
+            .on('set', this.setHue.bind(this));
+
+        this.service.getCharacteristic(Characteristic.Saturation)
+            .on('get', this.getSaturation.bind(this))
+            .on('set', this.setSaturation.bind(this));
+    }
+
+    if (this.hasWhiteTemperature()) {
+        this.service.getCharacteristic(Characteristic.ColorTemperature)
+            .on('get', this.getColorTemperature.bind(this))
+            .on('set', this.setColorTemperature.bind(this));
+
+        if ((this.typeSupportsDim || this.typeIsDimmer) && platform.adaptiveLightingId(this.id)) {
+            this.configureAdaptiveLighting();
+        }
+    }
+}
+
+// Number of milliseconds to wait for HomeKit to send both hue and saturation before updating Indigo
+IndigoLightAccessory.COLOR_UPDATE_DELAY = 100;
+// Range of HomeKit's ColorTemperature characteristic, in mireds
+IndigoLightAccessory.MIN_MIREDS = 140;
+IndigoLightAccessory.MAX_MIREDS = 500;
+// Difference in mireds between the color temperature we sent and the one Indigo reports
+// that is considered a manual change, which pauses Adaptive Lighting
+IndigoLightAccessory.ADAPTIVE_LIGHTING_TOLERANCE = 5;
+
+// Set the on state of the light
+// onState: true if on, false otherwise
+//          if true, sets the brightness to the previous brightness level, unless it is undefined or zero, in which case sends an ON command
+//          this hackery is because HomeKit sends both ON and BRIGHTNESS when adjusting a light's brightness
+// callback: invokes callback(error), error is undefined if no error occurred
+// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, otherwise will
+IndigoLightAccessory.prototype.setLightOnState = function(onState, callback, context) {
+    this.log("%s: setLightOnState(%d)", this.name, onState);
+    if ((this.typeSupportsDim || this.typeIsDimmer) && onState && this.previousBrightness) {
+        this.setBrightness(this.previousBrightness, callback, context);
+    } else {
+        this.setOnState(onState, callback, context)
+    }
+};
+
+// Get the brightness of the accessory
+// callback: invokes callback(error, brightness)
+//           error: error message or undefined if no error
+//           brightness: if device supports brightness, will return the brightness value
+IndigoLightAccessory.prototype.getBrightness = function(callback) {
+    if (this.typeSupportsDim || this.typeIsDimmer) {
+        this.query("brightness",
+            function(error, brightness) {
+                if (!error && brightness > 0) {
+                    this.previousBrightness = brightness;
+                }
+                if (callback) {
+                    callback(error, this.convertBrightness(brightness));
+                }
+            }.bind(this)
+        );
+    } else if (callback) {
+        callback("Accessory does not support brightness");
+    }
+};
+
+// Set the current brightness of the accessory
+// brightness: the brightness, from 0 (off) to 100 (full on)
+// callback: invokes callback(error), error is undefined if no error occurred
+// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, otherwise will
+IndigoLightAccessory.prototype.setBrightness = function(brightness, callback, context) {
+    this.log("%s: setBrightness(%d)", this.name, brightness);
+    if (context == IndigoAccessory.REFRESH_CONTEXT) {
+        if (callback) {
+            callback();
+        }
+    }
+    else if (this.typeSupportsDim || this.typeIsDimmer) {
+        if (brightness >= 0 && brightness <= 100) {
+            if (brightness > 0) {
+                this.previousBrightness = brightness;
+            }
+            this.updateStatus({brightness: this.convertBrightness(brightness)}, callback);
+        }
+    }
+    else if (callback) {
+        callback("Accessory does not support brightness");
+    }
+};
+
+// Returns true if the light supports red/green/blue levels (supportsRGB in Indigo)
+IndigoLightAccessory.prototype.hasColor = function() {
+    return Boolean(this.supportsRGB);
+};
+
+// Returns true if the light supports a white temperature (supportsWhiteTemperature in Indigo)
+IndigoLightAccessory.prototype.hasWhiteTemperature = function() {
+    return Boolean(this.supportsWhiteTemperature);
+};
+
+// Determines the HomeKit hue and saturation from the light's red, green, blue and white levels
+// White is added equally to each of the colors, which desaturates them
+// Returns { hue: 0-360, saturation: 0-100 }
+IndigoLightAccessory.prototype.determineHueSaturation = function() {
+    var white = (this.supportsWhite) ? (Number(this.whiteLevel) || 0) : 0;
+    var hsv = rgbToHsv(Math.min((Number(this.redLevel) || 0) + white, 100),
+                       Math.min((Number(this.greenLevel) || 0) + white, 100),
+                       Math.min((Number(this.blueLevel) || 0) + white, 100));
+    return { hue: hsv.hue, saturation: hsv.saturation };
+};
+
+// Determines the red, green, blue (and white, if supported) levels to send to Indigo for a HomeKit hue and saturation
+// The levels are scaled to the light's current brightness, so that changing the color does not change the brightness
+// hue: 0-360
+// saturation: 0-100
+// Returns the query string parameters for the Indigo RESTful API
+IndigoLightAccessory.prototype.determineColorLevels = function(hue, saturation) {
+    var brightness = this.brightness || this.previousBrightness || 100;
+    var rgb = hsvToRgb(hue, saturation, brightness);
+    var qs = { redLevel: rgb.red, greenLevel: rgb.green, blueLevel: rgb.blue };
+    if (this.supportsWhite) {
+        // Move the part that all three colors have in common onto the white channel
+        var white = Math.min(rgb.red, rgb.green, rgb.blue);
+        qs.redLevel -= white;
+        qs.greenLevel -= white;
+        qs.blueLevel -= white;
+        qs.whiteLevel = white;
+    }
+    return qs;
+};
+
+// Get the hue of the light
+// callback: invokes callback(error, hue)
+//           error: error message or undefined if no error
+//           hue: the hue, from 0 to 360
+IndigoLightAccessory.prototype.getHue = function(callback) {
+    this.getCachedStatus(
+        function(error) {
+            if (error) {
+                if (callback) {
+                    callback(error);
+                }
+            } else {
+                var hue = this.determineHueSaturation().hue;
+                this.log("%s: getHue() => %s", this.name, hue);
+                if (callback) {
+                    callback(undefined, hue);
+                }
+            }
+        }.bind(this)
+    );
+};
+
+// Get the saturation of the light
+// callback: invokes callback(error, saturation)
+//           error: error message or undefined if no error
+//           saturation: the saturation, from 0 to 100
+IndigoLightAccessory.prototype.getSaturation = function(callback) {
+    this.getCachedStatus(
+        function(error) {
+            if (error) {
+                if (callback) {
+                    callback(error);
+                }
+            } else {
+                var saturation = this.determineHueSaturation().saturation;
+                this.log("%s: getSaturation() => %s", this.name, saturation);
+                if (callback) {
+                    callback(undefined, saturation);
+                }
+            }
+        }.bind(this)
+    );
+};
+
+// Set the hue of the light
+// hue: the hue, from 0 to 360
+// callback: invokes callback(error), error is undefined if no error occurred
+// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, otherwise will
+IndigoLightAccessory.prototype.setHue = function(hue, callback, context) {
+    this.log("%s: setHue(%s)", this.name, hue);
+    if (context == IndigoAccessory.REFRESH_CONTEXT) {
+        if (callback) {
+            callback();
+        }
+    } else {
+        this.targetHue = hue;
+        this.queueColorUpdate(callback);
+    }
+};
+
+// Set the saturation of the light
+// saturation: the saturation, from 0 to 100
+// callback: invokes callback(error), error is undefined if no error occurred
+// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, otherwise will
+IndigoLightAccessory.prototype.setSaturation = function(saturation, callback, context) {
+    this.log("%s: setSaturation(%s)", this.name, saturation);
+    if (context == IndigoAccessory.REFRESH_CONTEXT) {
+        if (callback) {
+            callback();
+        }
+    } else {
+        this.targetSaturation = saturation;
+        this.queueColorUpdate(callback);
+    }
+};
+
+// HomeKit sets hue and saturation separately, so wait briefly for both before sending the new color to Indigo
+// callback: invokes callback(error) once the color has been sent, error is undefined if no error occurred
+IndigoLightAccessory.prototype.queueColorUpdate = function(callback) {
+    if (!this.colorUpdateCallbacks) {
+        this.colorUpdateCallbacks = [];
+        setTimeout(
+            function() {
+                var callbacks = this.colorUpdateCallbacks;
+                var current = this.determineHueSaturation();
+                var hue = (this.targetHue !== undefined) ? this.targetHue : current.hue;
+                var saturation = (this.targetSaturation !== undefined) ? this.targetSaturation : current.saturation;
+                this.colorUpdateCallbacks = undefined;
+                this.targetHue = undefined;
+                this.targetSaturation = undefined;
+                this.updateStatus(this.determineColorLevels(hue, saturation),
+                    function(error) {
+                        callbacks.forEach(
+                            function(pendingCallback) {
+                                if (pendingCallback) {
+                                    pendingCallback(error);
+                                }
+                            }
+                        );
+                    }
+                );
+            }.bind(this),
+        IndigoLightAccessory.COLOR_UPDATE_DELAY);
+    }
+    this.colorUpdateCallbacks.push(callback);
+};
+
+// Converts Indigo's whiteTemperature (in kelvin) into HomeKit's color temperature (in mireds)
+// whiteTemperature: the white temperature in kelvin
+IndigoLightAccessory.prototype.convertWhiteTemperatureToMireds = function(whiteTemperature) {
+    var mireds = Math.round(1000000 / (Number(whiteTemperature) || 1));
+    return Math.min(Math.max(mireds, IndigoLightAccessory.MIN_MIREDS), IndigoLightAccessory.MAX_MIREDS);
+};
+
+// Get the color temperature of the light
+// callback: invokes callback(error, colorTemperature)
+//           error: error message or undefined if no error
+//           colorTemperature: the color temperature in mireds
+IndigoLightAccessory.prototype.getColorTemperature = function(callback) {
+    this.getCachedStatus(
+        function(error) {
+            if (error) {
+                if (callback) {
+                    callback(error);
+                }
+            } else {
+                var colorTemperature = this.convertWhiteTemperatureToMireds(this.whiteTemperature);
+                this.log("%s: getColorTemperature() => %s", this.name, colorTemperature);
+                if (callback) {
+                    callback(undefined, colorTemperature);
+                }
+            }
+        }.bind(this)
+    );
+};
+
+// Set the color temperature of the light
+// If the light also supports color, the red, green and blue levels are turned off so that only white is shown
+// colorTemperature: the color temperature in mireds
+// callback: invokes callback(error), error is undefined if no error occurred
+// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, otherwise will
+//          Adaptive Lighting also calls this every minute (with its controller in the context), which is skipped while the light is off
+IndigoLightAccessory.prototype.setColorTemperature = function(colorTemperature, callback, context) {
+    this.log("%s: setColorTemperature(%s)", this.name, colorTemperature);
+    if (context == IndigoAccessory.REFRESH_CONTEXT) {
+        if (callback) {
+            callback();
         }
-        // Update current state to match target state
-        setTimeout(
-            function() {
-                this.service
-                    .getCharacteristic(Characteristic.CurrentPosition)
-                    .setValue(position, undefined, IndigoAccessory.REFRESH_CONTEXT);
-            }.bind(this),
-        1000);
+    } else if (context && context.controller && !this.convertIsOnToBoolean(this.isOn)) {
+        if (callback) {
+            callback();
+        }
+    } else {
+        this.lastColorTemperature = colorTemperature;
+        var qs = { whiteTemperature: Math.round(1000000 / colorTemperature) };
+        if (this.hasColor()) {
+            qs.redLevel = 0;
+            qs.greenLevel = 0;
+            qs.blueLevel = 0;
+            qs.whiteLevel = this.brightness || this.previousBrightness || 100;
+        }
+        this.updateStatus(qs, callback);
     }
-    else if (callback) {
-        callback("Accessory does not support on/off or dim");
+};
+
+// Adds HomeKit's Adaptive Lighting to the light, which then calls setColorTemperature every minute
+// to follow the color temperature curve provided by HomeKit, adjusted for the light's brightness
+IndigoLightAccessory.prototype.configureAdaptiveLighting = function() {
+    if (!AdaptiveLightingController || !this.accessory.configureController) {
+        this.log("%s: Adaptive Lighting requires homebridge 1.1 or later", this.name);
+        return;
+    }
+    this.adaptiveLightingController = new AdaptiveLightingController(this.service);
+    this.accessory.configureController(this.adaptiveLightingController);
+    this.log("%s: Adaptive Lighting is available", this.name);
+};
+
+// Returns true if Adaptive Lighting has been turned on in HomeKit for this light
+IndigoLightAccessory.prototype.isAdaptiveLightingActive = function() {
+    return Boolean(this.adaptiveLightingController && this.adaptiveLightingController.isAdaptiveLightingActive());
+};
+
+// Update HomeKit state to match state of Indigo's redLevel/greenLevel/blueLevel/whiteLevel properties
+// level: new value of property
+IndigoLightAccessory.prototype.update_redLevel =
+IndigoLightAccessory.prototype.update_greenLevel =
+IndigoLightAccessory.prototype.update_blueLevel =
+IndigoLightAccessory.prototype.update_whiteLevel = function(level) {
+    if (this.isAdaptiveLightingActive()) {
+        if (!(this.redLevel || this.greenLevel || this.blueLevel)) {
+            // Still white, as set by Adaptive Lighting
+            return;
+        }
+        this.log("%s: Color changed in Indigo, pausing Adaptive Lighting", this.name);
+        this.adaptiveLightingController.disableAdaptiveLighting();
+    }
+    if (this.hasColor()) {
+        var hs = this.determineHueSaturation();
+        this.service.getCharacteristic(Characteristic.Hue)
+            .setValue(hs.hue, undefined, IndigoAccessory.REFRESH_CONTEXT);
+        this.service.getCharacteristic(Characteristic.Saturation)
+            .setValue(hs.saturation, undefined, IndigoAccessory.REFRESH_CONTEXT);
+    }
+};
+
+// Update HomeKit state to match state of Indigo's whiteTemperature property
+// whiteTemperature: new value of whiteTemperature property
+IndigoLightAccessory.prototype.update_whiteTemperature = function(whiteTemperature) {
+    if (this.isAdaptiveLightingActive()) {
+        var mireds = this.convertWhiteTemperatureToMireds(whiteTemperature);
+        if (this.lastColorTemperature !== undefined &&
+            Math.abs(mireds - this.lastColorTemperature) <= IndigoLightAccessory.ADAPTIVE_LIGHTING_TOLERANCE) {
+            // This is the color temperature Adaptive Lighting asked for, which HomeKit already knows about
+            return;
+        }
+        this.log("%s: Color temperature changed in Indigo, pausing Adaptive Lighting", this.name);
+        this.adaptiveLightingController.disableAdaptiveLighting();
+    }
+    if (this.hasWhiteTemperature()) {
+        this.service.getCharacteristic(Characteristic.ColorTemperature)
+            .setValue(this.convertWhiteTemperatureToMireds(whiteTemperature), undefined, IndigoAccessory.REFRESH_CONTEXT);
     }
 };
 
 // Update HomeKit state to match state of Indigo's isOn property
-// Does nothing if device supports brightness
 // isOn: new value of isOn property
-IndigoPositionAccessory.prototype.update_isOn = function(isOn) {
-    if (! (this.typeSupportsDim || this.typeIsDimmer)) {
-        var position = this.convertIsOnToValue(isOn, 100, 0);
-        this.service
-            .getCharacteristic(Characteristic.CurrentPosition)
-            .setValue(position, undefined, IndigoAccessory.REFRESH_CONTEXT);
-        this.service
-            .getCharacteristic(Characteristic.TargetPosition)
-            .setValue(position, undefined, IndigoAccessory.REFRESH_CONTEXT);
-    }
+IndigoLightAccessory.prototype.update_isOn = function(isOn) {
+    this.service.getCharacteristic(Characteristic.On)
+        .setValue(this.convertIsOnToBoolean(isOn), undefined, IndigoAccessory.REFRESH_CONTEXT);
 };
 
 // Update HomeKit state to match state of Indigo's brightness property
 // brightness: new value of brightness property
-IndigoPositionAccessory.prototype.update_brightness = function(brightness) {
-    var position = this.convertBrightness(brightness);
-    this.service
-        .getCharacteristic(Characteristic.CurrentPosition)
-        .setValue(position, undefined, IndigoAccessory.REFRESH_CONTEXT);
-    this.service
-        .getCharacteristic(Characteristic.TargetPosition)
-        .setValue(position, undefined, IndigoAccessory.REFRESH_CONTEXT);
+IndigoLightAccessory.prototype.update_brightness = function(brightness) {
+    if (brightness > 0) {
+        this.previousBrightness = brightness;
+    }
+    this.service.getCharacteristic(Characteristic.Brightness)
+        .setValue(this.convertBrightness(brightness), undefined, IndigoAccessory.REFRESH_CONTEXT);
 };
 
 
 //
-// Indigo Door Accessory
+// Indigo Light Group Accessory - A virtual dimmer that controls several Indigo devices together
 //
 // platform: the HomeKit platform
-// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
-// json: the json that describes this device
+// id: the ID of the light group, which is not an Indigo ID
+// lightGroup: the light group's configuration, with its "name" and the Indigo "ids" of its members
 //
-function IndigoDoorAccessory(platform, deviceURL, json) {
-    IndigoPositionAccessory.call(this, platform, Service.Door, deviceURL, json);
+function IndigoLightGroupAccessory(platform, id, lightGroup) {
+    this.memberIds = (lightGroup.ids || []).map(String);
+    this.watchedIds = this.memberIds;
+    var json = {
+        id: id,
+        name: lightGroup.name,
+        type: "Light Group",
+        typeSupportsOnOff: true,
+        typeSupportsDim: true
+    };
+    IndigoLightAccessory.call(this, platform, undefined, json);
+    this.refreshWatchedItems();
 }
 
+// Updates the group's state from the latest state of its members: on if any member is on,
+// with the average brightness of the members (on/off members count as full brightness when on)
+// Members listed in "invertOnOffIds" are on when Indigo reports them as off, with their brightness inverted
+IndigoLightGroupAccessory.prototype.refreshWatchedItems = function() {
+    var isOn = false;
+    var totalBrightness = 0;
+    var count = 0;
+    this.memberIds.forEach(
+        function(id) {
+            var member = this.platform.watchedItems.get(id);
+            if (member.isOn !== undefined) {
+                var inverted = this.platform.invertOnOffId(id);
+                var memberOn = (inverted) ? !member.isOn : Boolean(member.isOn);
+                isOn = isOn || memberOn;
+                if (member.typeSupportsDim || member.typeIsDimmer) {
+                    var brightness = Number(member.brightness) || 0;
+                    totalBrightness += (inverted) ? 100 - brightness : brightness;
+                } else {
+                    totalBrightness += (memberOn) ? 100 : 0;
+                }
+                count++;
+            }
+        }.bind(this)
+    );
+    this.refreshFromJSON({
+        isOn: isOn,
+        brightness: (count > 0) ? Math.round(totalBrightness / count) : 0
+    });
+};
+
+// Calls the Indigo RESTful API to get the latest state of every member, and updates the group's properties to match
+// callback: invokes callback(error), error is undefined if no error occurred (or the first error if any member failed)
+IndigoLightGroupAccessory.prototype.getStatus = function(callback) {
+    this.refreshMemberStatus(this.memberIds, callback);
+};
+
+// Polls the members that are not accessories themselves, as the others are polled on their own
+// callback: invokes callback(error), error is undefined if no error occurred (or the first error if any member failed)
+IndigoLightGroupAccessory.prototype.poll = function(callback) {
+    this.refreshMemberStatus(
+        this.memberIds.filter(
+            function(id) {
+                return !this.platform.accessoryMap.has(id);
+            }.bind(this)
+        ),
+        callback
+    );
+};
+
+// Calls the Indigo RESTful API to get the latest state of some of the members
+// ids: the Indigo IDs of the members to refresh
+// callback: invokes callback(error), error is undefined if no error occurred (or the first error if any member failed)
+IndigoLightGroupAccessory.prototype.refreshMemberStatus = function(ids, callback) {
+    var firstError;
+    async.eachSeries(ids,
+        function(id, asyncCallback) {
+            this.platform.fetchWatchedItem(id,
+                function(error) {
+                    firstError = firstError || error;
+                    asyncCallback();
+                }
+            );
+        }.bind(this),
+        function() {
+            this.statusTime = Date.now();
+            if (callback) {
+                callback(firstError);
+            }
+        }.bind(this)
+    );
+};
+
+// Calls the Indigo RESTful API to alter the state of every member, then updates the group's properties to match
+// Members that cannot dim are turned on or off instead of being sent a brightness,
+// and members listed in "invertOnOffIds" are sent the inverted state
+// qs: the query string parameters to send to the Indigo RESTful API via a PUT request
+// callback: invokes callback(error), error is undefined if no error occurred (or the first error if any member failed)
+IndigoLightGroupAccessory.prototype.updateStatus = function(qs, callback) {
+    this.log("updateStatus of %s: %s", this.name, JSON.stringify(qs));
+    var firstError;
+    async.eachSeries(this.memberIds,
+        function(id, asyncCallback) {
+            var member = this.platform.watchedItems.get(id);
+            if (!member.deviceURL) {
+                asyncCallback();
+                return;
+            }
+            var inverted = this.platform.invertOnOffId(id);
+            var memberQS = {};
+            if (qs.brightness !== undefined && (member.typeSupportsDim || member.typeIsDimmer)) {
+                memberQS.brightness = (inverted) ? 100 - qs.brightness : qs.brightness;
+            } else {
+                var on = (qs.brightness !== undefined) ? (qs.brightness > 0) : Boolean(qs.isOn);
+                memberQS.isOn = (on != inverted) ? 1 : 0;
+            }
+            this.platform.indigoRequest(member.deviceURL, "PUT", memberQS,
+                function(error, response, body) {
+                    if (error) {
+                        firstError = firstError || error;
+                        asyncCallback();
+                    } else {
+                        this.platform.fetchWatchedItem(id,
+                            function(error) {
+                                firstError = firstError || error;
+                                asyncCallback();
+                            }
+                        );
+                    }
+                }.bind(this)
+            );
+        }.bind(this),
+        function() {
+            this.statusTime = Date.now();
+            if (callback) {
+                callback(firstError);
+            }
+        }.bind(this)
+    );
+};
+
 
 //
-// Indigo Window Accessory
+// Indigo Fan Accessory
+// Fans are HomeKit Fan services, or Fanv2 services (with Active, CurrentFanState and TargetFanState) if "useFanv2" is true
 //
 // platform: the HomeKit platform
 // deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
 // json: the json that describes this device
 //
-function IndigoWindowAccessory(platform, deviceURL, json) {
-    IndigoPositionAccessory.call(this, platform, Service.Window, deviceURL, json);
+function IndigoFanAccessory(platform, deviceURL, json) {
+    this.fanv2 = platform.useFanv2;
+    IndigoAccessory.call(this, platform, (this.fanv2) ? Service.Fanv2 : Service.Fan, deviceURL, json);
+
+    this.speedCount = this.determineSpeedCount();
+    var rotationSpeed = this.getIndigoRotationSpeed();
+    if (rotationSpeed > 0) {
+        this.previousRotationSpeed = rotationSpeed;
+    }
+
+    if (this.fanv2) {
+        this.service.getCharacteristic(Characteristic.Active)
+            .on('get', this.getActive.bind(this))
+            .on('set', this.setActive.bind(this));
+
+        this.service.getCharacteristic(Characteristic.CurrentFanState)
+            .on('get', this.getCurrentFanState.bind(this));
+
+        // Indigo has no automatic mode, so the fan is always under manual control
+        this.service.getCharacteristic(Characteristic.TargetFanState)
+            .setProps({ validValues: [ Characteristic.TargetFanState.MANUAL ] })
+            .on('get', this.getTargetFanState.bind(this))
+            .on('set', this.setTargetFanState.bind(this));
+    } else {
+        this.service.getCharacteristic(Characteristic.On)
+            .on('get', this.getOnState.bind(this))
+            .on('set', this.setFanOnState.bind(this));
+    }
+
+    var rotationSpeedCharacteristic = this.service.getCharacteristic(Characteristic.RotationSpeed)
+        .on('get', this.getRotationSpeed.bind(this))
+        .on('set', this.setRotationSpeed.bind(this));
+    if (this.speedCount > 0) {
+        rotationSpeedCharacteristic.setProps({ minStep: 100.0 / this.speedCount });
+    }
 }
 
+// Speed count used when neither the configuration nor the device says how many speeds the fan has
+IndigoFanAccessory.DEFAULT_SPEED_COUNT = 3;
+
+// Determines the number of speeds of the fan
+// Uses the "fanSpeeds" configuration if provided for this device, otherwise the device's speedIndexCount property,
+// otherwise treats the fan as continuously variable if it only reports a speedLevel
+// returns: the number of speeds (not counting off), or 0 if the fan's speed is continuously variable
+IndigoFanAccessory.prototype.determineSpeedCount = function() {
+    var configured = this.platform.fanSpeeds[String(this.id)];
+    if (configured !== undefined) {
+        return Math.max(0, parseInt(configured, 10) || 0);
+    } else if (this.speedIndexCount > 0) {
+        return this.speedIndexCount;
+    } else if (this.speedLevel !== undefined && this.speedIndex === undefined) {
+        return 0;
+    } else {
+        return IndigoFanAccessory.DEFAULT_SPEED_COUNT;
+    }
+};
+
+// Returns true if the fan's speed is continuously variable (set using speedLevel instead of speedIndex)
+IndigoFanAccessory.prototype.isContinuous = function() {
+    return (this.speedCount == 0);
+};
+
+// Converts the speed currently reported by Indigo to a rotation speed
+// returns: the rotation speed, from 0 (off) to 100 (full speed), before any on/off inversion
+IndigoFanAccessory.prototype.getIndigoRotationSpeed = function() {
+    if (this.isContinuous()) {
+        return Number(this.speedLevel) || 0;
+    } else {
+        return Math.min(100.0, ((Number(this.speedIndex) || 0) / this.speedCount) * 100.0);
+    }
+};
+
+// Get the active state of the fan
+// callback: invokes callback(error, active)
+//           error: error message or undefined if no error
+//           active: Characteristic.Active.ACTIVE if the fan is on, otherwise Characteristic.Active.INACTIVE
+IndigoFanAccessory.prototype.getActive = function(callback) {
+    this.getOnState(
+        function(error, onState) {
+            if (callback) {
+                if (error) {
+                    callback(error);
+                } else {
+                    callback(undefined, onState ? Characteristic.Active.ACTIVE : Characteristic.Active.INACTIVE);
+                }
+            }
+        }
+    );
+};
+
+// Set the active state of the fan
+// active: Characteristic.Active.ACTIVE or Characteristic.Active.INACTIVE
+//         if active, sets the speed to the previous speed, unless it is undefined or zero, in which case sends an ON command
+//         this hackery is because HomeKit sends both ACTIVE and ROTATION SPEED when adjusting a fan's speed
+// callback: invokes callback(error), error is undefined if no error occurred
+// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, otherwise will
+IndigoFanAccessory.prototype.setActive = function(active, callback, context) {
+    this.log("%s: setActive(%d)", this.name, active);
+    this.setFanOnState(active == Characteristic.Active.ACTIVE, callback, context);
+};
+
+// Set the on state of the fan
+// onState: true if on, false otherwise
+//          if true, sets the speed to the previous speed, unless it is undefined or zero, in which case sends an ON command
+//          this hackery is because HomeKit sends both ON and ROTATION SPEED when adjusting a fan's speed
+// callback: invokes callback(error), error is undefined if no error occurred
+// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, otherwise will
+IndigoFanAccessory.prototype.setFanOnState = function(onState, callback, context) {
+    this.log("%s: setFanOnState(%d)", this.name, onState);
+    if (onState && this.previousRotationSpeed) {
+        this.setRotationSpeed(this.previousRotationSpeed, callback, context);
+    } else {
+        this.setOnState(onState, callback, context)
+    }
+};
+
+// Get the current state of the fan
+// callback: invokes callback(error, currentFanState)
+//           error: error message or undefined if no error
+//           currentFanState: Characteristic.CurrentFanState.BLOWING_AIR if the fan is on, otherwise Characteristic.CurrentFanState.IDLE
+IndigoFanAccessory.prototype.getCurrentFanState = function(callback) {
+    this.getOnState(
+        function(error, onState) {
+            if (callback) {
+                if (error) {
+                    callback(error);
+                } else {
+                    callback(undefined, onState ? Characteristic.CurrentFanState.BLOWING_AIR : Characteristic.CurrentFanState.IDLE);
+                }
+            }
+        }
+    );
+};
+
+// Get the target state of the fan, which is always manual
+// callback: invokes callback(error, targetFanState)
+IndigoFanAccessory.prototype.getTargetFanState = function(callback) {
+    if (callback) {
+        callback(undefined, Characteristic.TargetFanState.MANUAL);
+    }
+};
+
+// Set the target state of the fan, which has no effect since Indigo has no automatic mode
+// targetFanState: Characteristic.TargetFanState.MANUAL or Characteristic.TargetFanState.AUTO
+// callback: invokes callback(error), error is undefined if no error occurred
+// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, otherwise will
+IndigoFanAccessory.prototype.setTargetFanState = function(targetFanState, callback, context) {
+    this.log("%s: setTargetFanState(%d)", this.name, targetFanState);
+    if (callback) {
+        callback();
+    }
+};
+
+// Get the rotation speed of the accessory
+// callback: invokes callback(error, rotationSpeed)
+//           error: error message or undefined if no error
+//           rotationSpeed: if device supports speed control, will return the speed as a value from 0 (off) to 100 (full speed)
+IndigoFanAccessory.prototype.getRotationSpeed = function(callback) {
+    if (this.typeSupportsSpeedControl || this.typeIsSpeedControl) {
+        this.getCachedStatus(
+            function(error) {
+                if (error) {
+                    if (callback) {
+                        callback(error);
+                    }
+                } else {
+                    var rotationSpeed = this.getIndigoRotationSpeed();
+                    if (rotationSpeed > 0) {
+                        this.previousRotationSpeed = rotationSpeed;
+                    }
+                    if (callback) {
+                        callback(undefined, this.convertBrightness(rotationSpeed));
+                    }
+                }
+            }.bind(this)
+        );
+    }
+    else if (callback) {
+        callback("Accessory does not support rotation speed");
+    }
+};
+
+// Set the current rotation speed of the accessory
+// Continuously variable fans are set using speedLevel, other fans using the nearest speedIndex
+// rotationSpeed: the rotation speed, from 0 (off) to 100 (full speed)
+// callback: invokes callback(error), error is undefined if no error occurred
+// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, otherwise will
+IndigoFanAccessory.prototype.setRotationSpeed = function(rotationSpeed, callback, context) {
+    this.log("%s: setRotationSpeed(%d)", this.name, rotationSpeed);
+    if (context == IndigoAccessory.REFRESH_CONTEXT) {
+        if (callback) {
+            callback();
+        }
+    }
+    else if (this.typeSupportsSpeedControl || this.typeIsSpeedControl) {
+        if (rotationSpeed >= 0.0 && rotationSpeed <= 100.0) {
+            var rs = this.convertBrightness(rotationSpeed);
+            if (rotationSpeed > 0) {
+                this.previousRotationSpeed = rotationSpeed;
+            }
+            if (this.isContinuous()) {
+                this.updateStatus({speedLevel: Math.round(rs)}, callback);
+            } else {
+                var speedIndex = Math.round((rs / 100.0) * this.speedCount);
+                if (rs > 0 && speedIndex < 1) {
+                    speedIndex = 1;
+                }
+                this.updateStatus({speedIndex: speedIndex}, callback);
+            }
+        }
+        else if (callback) {
+            callback("Rotation speed out of range");
+        }
+    }
+    else if (callback) {
+        callback("Accessory does not support rotation speed");
+    }
+};
+
+// Update HomeKit state to match state of Indigo's isOn property
+// isOn: new value of isOn property
+IndigoFanAccessory.prototype.update_isOn = function(isOn) {
+    var onState = this.convertIsOnToBoolean(isOn);
+    if (this.fanv2) {
+        this.service.getCharacteristic(Characteristic.Active)
+            .setValue(onState ? Characteristic.Active.ACTIVE : Characteristic.Active.INACTIVE, undefined, IndigoAccessory.REFRESH_CONTEXT);
+        this.service.getCharacteristic(Characteristic.CurrentFanState)
+            .setValue(onState ? Characteristic.CurrentFanState.BLOWING_AIR : Characteristic.CurrentFanState.IDLE, undefined, IndigoAccessory.REFRESH_CONTEXT);
+    } else {
+        this.service.getCharacteristic(Characteristic.On)
+            .setValue(onState, undefined, IndigoAccessory.REFRESH_CONTEXT);
+    }
+};
+
+// Update HomeKit's rotation speed to match the speed reported by Indigo
+IndigoFanAccessory.prototype.updateRotationSpeed = function() {
+    var rotationSpeed = this.getIndigoRotationSpeed();
+    if (rotationSpeed > 0) {
+        this.previousRotationSpeed = rotationSpeed;
+    }
+    this.service.getCharacteristic(Characteristic.RotationSpeed)
+        .setValue(this.convertBrightness(rotationSpeed), undefined, IndigoAccessory.REFRESH_CONTEXT);
+};
+
+// Update HomeKit state to match state of Indigo's speedIndex property
+// speedIndex: new value of speedIndex property
+IndigoFanAccessory.prototype.update_speedIndex = function(speedIndex) {
+    if (!this.isContinuous()) {
+        this.updateRotationSpeed();
+    }
+};
+
+// Update HomeKit state to match state of Indigo's speedLevel property
+// speedLevel: new value of speedLevel property
+IndigoFanAccessory.prototype.update_speedLevel = function(speedLevel) {
+    if (this.isContinuous()) {
+        this.updateRotationSpeed();
+    }
+};
+
 
 //
-// Indigo Window Covering Accessory
+// Indigo Irrigation System Accessory - a sprinkler controller, with a HomeKit valve for each of its zones
+// Indigo runs one zone at a time, which is started by setting activeZone to the zone's number, and stopped by setting it to 0
 //
 // platform: the HomeKit platform
 // deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
 // json: the json that describes this device
 //
-function IndigoWindowCoveringAccessory(platform, deviceURL, json) {
-    IndigoPositionAccessory.call(this, platform, Service.WindowCovering, deviceURL, json);
-}
+function IndigoIrrigationAccessory(platform, deviceURL, json) {
+    IndigoAccessory.call(this, platform, Service.IrrigationSystem, deviceURL, json);
+
+    this.service.getCharacteristic(Characteristic.Active)
+        .on('get', this.getSystemActive.bind(this))
+        .on('set', this.setSystemActive.bind(this));
+
+    this.service.getCharacteristic(Characteristic.InUse)
+        .on('get', this.getSystemActive.bind(this));
+
+    // Indigo's schedules are not visible through its RESTful API
+    this.service.getCharacteristic(Characteristic.ProgramMode)
+        .setValue(Characteristic.ProgramMode.NO_PROGRAM_SCHEDULED, undefined, IndigoAccessory.REFRESH_CONTEXT);
+
+    // Durations set in HomeKit are kept in the accessory's context, so they survive restarts
+    if (!this.accessory.context.zoneDurations) {
+        this.accessory.context.zoneDurations = {};
+    }
+    // Times (in milliseconds) at which the running zone is expected to stop, keyed by zone number
+    this.zoneEndTimes = {};
+
+    this.valves = [];
+    var zoneNames = this.getZoneNames();
+    for (var zone = 1; zone <= zoneNames.length; zone++) {
+        var valve = this.addOrGetService(Service.Valve, zoneNames[zone - 1], "zone" + zone);
+
+        valve.getCharacteristic(Characteristic.ValveType)
+            .setValue(Characteristic.ValveType.IRRIGATION, undefined, IndigoAccessory.REFRESH_CONTEXT);
+
+        valve.getCharacteristic(Characteristic.ServiceLabelIndex)
+            .setValue(zone, undefined, IndigoAccessory.REFRESH_CONTEXT);
 
+        valve.getCharacteristic(Characteristic.IsConfigured)
+            .setValue(this.isZoneEnabled(zone) ? Characteristic.IsConfigured.CONFIGURED : Characteristic.IsConfigured.NOT_CONFIGURED,
+                      undefined, IndigoAccessory.REFRESH_CONTEXT);
 
-//
-// Indigo Garage Door Accessory
-//
-// platform: the HomeKit platform
-// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
-// json: the json that describes this device
-//
-function IndigoGarageDoorAccessory(platform, deviceURL, json) {
-    IndigoAccessory.call(this, platform, Service.GarageDoorOpener, deviceURL, json);
+        valve.getCharacteristic(Characteristic.Active)
+            .on('get', this.getZoneActive.bind(this, zone))
+            .on('set', this.setZoneActive.bind(this, zone));
 
-    this.service.getCharacteristic(Characteristic.CurrentDoorState)
-        .on('get', this.getCurrentDoorState.bind(this));
+        valve.getCharacteristic(Characteristic.InUse)
+            .on('get', this.getZoneActive.bind(this, zone));
 
-    this.service.getCharacteristic(Characteristic.TargetDoorState)
-        .on('get', this.getTargetDoorState.bind(this))
-        .on('set', this.setTargetDoorState.bind(this));
+        valve.getCharacteristic(Characteristic.SetDuration)
+            .on('get', this.getZoneDuration.bind(this, zone))
+            .on('set', this.setZoneDuration.bind(this, zone))
+            .setValue(this.getDuration(zone), undefined, IndigoAccessory.REFRESH_CONTEXT);
 
-    this.service.getCharacteristic(Characteristic.ObstructionDetected)
-        .on('get', this.getObstructionDetected.bind(this));
+        valve.getCharacteristic(Characteristic.RemainingDuration)
+            .on('get', this.getRemainingDuration.bind(this, zone));
+
+        this.service.addLinkedService(valve);
+        this.valves.push(valve);
+    }
+
+    this.updateZones();
 }
 
-// Get the current door state of the accessory
-// callback: invokes callback(error, doorState)
-//           error: error message or undefined if no error
-//           doorState: Characteristic.CurrentDoorState.OPEN (device on) or Characteristic.CurrentDoorState.CLOSED (device off)
-IndigoGarageDoorAccessory.prototype.getCurrentDoorState = function(callback) {
-    if (this.typeSupportsOnOff) {
-        this.getStatus(
-            function(error) {
-                if (error) {
-                    if (callback) {
-                        callback(error);
-                    }
-                } else {
-                    var doorState = this.convertIsOnToValue(this.isOn, Characteristic.CurrentDoorState.OPEN, Characteristic.CurrentDoorState.CLOSED);
-                    this.log("%s: getPosition() => %s", this.name, doorState);
-                    if (callback) {
-                        callback(undefined, doorState);
-                    }
-                }
-            }.bind(this)
-        );
+// Number of seconds a zone runs for when started from HomeKit, if no duration has been set in HomeKit
+// and Indigo does not report a maximum duration for the zone
+IndigoIrrigationAccessory.DEFAULT_DURATION = 600;
+// Longest duration (in seconds) that HomeKit allows to be set for a zone
+IndigoIrrigationAccessory.MAX_DURATION = 3600;
+
+// Returns the names of the sprinkler's zones, from Indigo's zoneNames property (an array or a comma-separated list)
+// Zones without a name are named after their number
+IndigoIrrigationAccessory.prototype.getZoneNames = function() {
+    var names = this.zoneNames;
+    if (typeof names == "string") {
+        names = names.split(",");
+    } else if (!Array.isArray(names)) {
+        names = [];
     }
-    else if (callback) {
-        callback("Accessory does not support on/off");
+    var zoneCount = Math.max(names.length, Number(this.zoneCount) || 0);
+    var zoneNames = [];
+    for (var i = 0; i < zoneCount; i++) {
+        var name = (names[i] !== undefined && names[i] !== null) ? String(names[i]).trim() : "";
+        zoneNames.push(name || ("Zone " + (i + 1)));
     }
+    return zoneNames;
 };
 
-// Get the target door state of the accessory
-// callback: invokes callback(error, doorState)
+// Returns true if Indigo has the zone enabled (zones are enabled unless Indigo's zoneEnableList says otherwise)
+// zone: the zone number, starting at 1
+IndigoIrrigationAccessory.prototype.isZoneEnabled = function(zone) {
+    return !(Array.isArray(this.zoneEnableList) && this.zoneEnableList[zone - 1] === false);
+};
+
+// Returns the number of the zone that Indigo reports is running, or 0 if none is
+IndigoIrrigationAccessory.prototype.getActiveZone = function() {
+    return Number(this.activeZone) || 0;
+};
+
+// Returns the number of seconds the zone runs for when started from HomeKit
+// This is the duration set in HomeKit, or else Indigo's maximum duration for the zone (which is in minutes)
+// zone: the zone number, starting at 1
+IndigoIrrigationAccessory.prototype.getDuration = function(zone) {
+    var duration = this.accessory.context.zoneDurations[zone];
+    if (duration === undefined && Array.isArray(this.zoneMaxDurations) && this.zoneMaxDurations[zone - 1] > 0) {
+        duration = this.zoneMaxDurations[zone - 1] * 60;
+    }
+    if (duration === undefined) {
+        duration = IndigoIrrigationAccessory.DEFAULT_DURATION;
+    }
+    return Math.min(Math.round(duration), IndigoIrrigationAccessory.MAX_DURATION);
+};
+
+// Returns the number of seconds until the zone is expected to stop, or 0 if it is not running
+// zone: the zone number, starting at 1
+IndigoIrrigationAccessory.prototype.getRemainingTime = function(zone) {
+    if (this.getActiveZone() != zone || this.zoneEndTimes[zone] === undefined) {
+        return 0;
+    }
+    return Math.max(0, Math.round((this.zoneEndTimes[zone] - Date.now()) / 1000));
+};
+
+// Get the active state of the sprinkler, which is active while any of its zones is running
+// callback: invokes callback(error, active)
 //           error: error message or undefined if no error
-//           doorState: Characteristic.TargetDoorState.OPEN (device on) or Characteristic.TargetDoorState.CLOSED (device off)
-IndigoGarageDoorAccessory.prototype.getTargetDoorState = function(callback) {
-    if (this.typeSupportsOnOff) {
-        this.getStatus(
-            function(error) {
-                if (error) {
-                    if (callback) {
-                        callback(error);
-                    }
-                } else {
-                    var doorState = this.convertIsOnToValue(this.isOn, Characteristic.TargetDoorState.OPEN, Characteristic.TargetDoorState.CLOSED);
-                    this.log("%s: getPosition() => %s", this.name, doorState);
-                    if (callback) {
-                        callback(undefined, doorState);
-                    }
+//           active: Characteristic.Active.ACTIVE if a zone is running, otherwise Characteristic.Active.INACTIVE
+IndigoIrrigationAccessory.prototype.getSystemActive = function(callback) {
+    this.getCachedStatus(
+        function(error) {
+            if (error) {
+                if (callback) {
+                    callback(error);
                 }
-            }.bind(this)
-        );
-    }
-    else if (callback) {
-        callback("Accessory does not support on/off");
+            } else {
+                var active = (this.getActiveZone() > 0) ? Characteristic.Active.ACTIVE : Characteristic.Active.INACTIVE;
+                this.log("%s: getSystemActive() => %s", this.name, active);
+                if (callback) {
+                    callback(undefined, active);
+                }
+            }
+        }.bind(this)
+    );
+};
+
+// Set the active state of the sprinkler
+// active: Characteristic.Active.INACTIVE stops any running zone, while Characteristic.Active.ACTIVE does nothing,
+//         as HomeKit starts zones through their valves
+// callback: invokes callback(error), error is undefined if no error occurred
+// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, otherwise will
+IndigoIrrigationAccessory.prototype.setSystemActive = function(active, callback, context) {
+    this.log("%s: setSystemActive(%d)", this.name, active);
+    if (context == IndigoAccessory.REFRESH_CONTEXT || active == Characteristic.Active.ACTIVE || this.getActiveZone() == 0) {
+        if (callback) {
+            callback();
+        }
+    } else {
+        this.updateStatus({activeZone: 0}, callback, this.updateProperty.bind(this));
     }
 };
 
-// Set the target door state of the accessory
-// lockState: Characteristic.TargetDoorState.OPEN (device on) or Characteristic.TargetDoorState.CLOSED (device off)
+// Get the active state of a zone, which is also whether it is in use
+// zone: the zone number, starting at 1
+// callback: invokes callback(error, active)
+//           error: error message or undefined if no error
+//           active: Characteristic.Active.ACTIVE if the zone is running, otherwise Characteristic.Active.INACTIVE
+IndigoIrrigationAccessory.prototype.getZoneActive = function(zone, callback) {
+    this.getCachedStatus(
+        function(error) {
+            if (error) {
+                if (callback) {
+                    callback(error);
+                }
+            } else {
+                var active = (this.getActiveZone() == zone) ? Characteristic.Active.ACTIVE : Characteristic.Active.INACTIVE;
+                this.log("%s: getZoneActive(%d) => %s", this.name, zone, active);
+                if (callback) {
+                    callback(undefined, active);
+                }
+            }
+        }.bind(this)
+    );
+};
+
+// Starts or stops a zone
+// A zone started from HomeKit is stopped once its duration has passed, unless another zone has been started since
+// zone: the zone number, starting at 1
+// active: Characteristic.Active.ACTIVE to start the zone (stopping any other), Characteristic.Active.INACTIVE to stop it
 // callback: invokes callback(error), error is undefined if no error occurred
-// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, and will not update CurrentDoorState
-//          otherwise, calls the Indigo RESTful API and also updates CurrentDoorState to match after a one second delay
-IndigoGarageDoorAccessory.prototype.setTargetDoorState = function(doorState, callback, context) {
-    this.log("%s: setTargetPosition(%s)", this.name, doorState);
+// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, otherwise will
+IndigoIrrigationAccessory.prototype.setZoneActive = function(zone, active, callback, context) {
+    this.log("%s: setZoneActive(%d, %d)", this.name, zone, active);
     if (context == IndigoAccessory.REFRESH_CONTEXT) {
         if (callback) {
             callback();
         }
-    }
-    else if (this.typeSupportsOnOff) {
-        this.updateStatus({ isOn: this.convertBooleanToIsOn(doorState == Characteristic.TargetDoorState.OPEN) }, callback);
-        // Update current state to match target state
-        setTimeout(
+    } else if (active == Characteristic.Active.ACTIVE) {
+        var duration = this.getDuration(zone);
+        this.zoneEndTimes[zone] = Date.now() + duration * 1000;
+        clearTimeout(this.stopTimer);
+        this.stopTimer = setTimeout(
             function() {
-                this.service.getCharacteristic(Characteristic.CurrentDoorState)
-                    .setValue((doorState == Characteristic.TargetDoorState.OPEN) ?
-                                Characteristic.CurrentDoorState.OPEN : Characteristic.CurrentDoorState.CLOSED,
-                                undefined, IndigoAccessory.REFRESH_CONTEXT);
+                this.stopTimer = undefined;
+                if (this.getActiveZone() == zone) {
+                    this.log("%s: Stopping zone %d after %d seconds", this.name, zone, duration);
+                    this.updateStatus({activeZone: 0}, undefined, this.updateProperty.bind(this));
+                }
             }.bind(this),
-        1000);
+            duration * 1000
+        );
+        this.updateStatus({activeZone: zone}, callback, this.updateProperty.bind(this));
+    } else if (this.getActiveZone() == zone) {
+        clearTimeout(this.stopTimer);
+        this.stopTimer = undefined;
+        this.updateStatus({activeZone: 0}, callback, this.updateProperty.bind(this));
+    } else if (callback) {
+        callback();
     }
-    else if (callback) {
-        callback("Accessory does not support on/off");
+};
+
+// Get the number of seconds a zone runs for when started from HomeKit
+// zone: the zone number, starting at 1
+// callback: invokes callback(undefined, duration)
+IndigoIrrigationAccessory.prototype.getZoneDuration = function(zone, callback) {
+    if (callback) {
+        callback(undefined, this.getDuration(zone));
     }
 };
 
-// Get the obstruction detected state of the accessory
-// callback: invokes callback(error, obstructionDetected)
-//           error: error message or undefined if no error
-//           obstructionDetected: always false
-IndigoGarageDoorAccessory.prototype.getObstructionDetected = function(callback) {
-    if (this.typeSupportsOnOff) {
-        this.log("%s: getObstructionDetected() => %s", this.name, false);
-        if (callback) {
-            callback(undefined, false);
-        }
+// Set the number of seconds a zone runs for when started from HomeKit
+// The duration is remembered in the accessory's context, as Indigo has no way to store it
+// zone: the zone number, starting at 1
+// duration: the number of seconds
+// callback: invokes callback(error), error is undefined if no error occurred
+// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not store the duration
+IndigoIrrigationAccessory.prototype.setZoneDuration = function(zone, duration, callback, context) {
+    this.log("%s: setZoneDuration(%d, %d)", this.name, zone, duration);
+    if (context !== IndigoAccessory.REFRESH_CONTEXT) {
+        this.accessory.context.zoneDurations[zone] = duration;
+        this.platform.api.updatePlatformAccessories([ this.accessory ]);
     }
-    else if (callback) {
-        callback("Accessory does not support on/off");
+    if (callback) {
+        callback();
     }
 };
 
-// Update HomeKit state to match state of Indigo's isOn property
-// isOn: new value of isOn property
-IndigoGarageDoorAccessory.prototype.update_isOn = function(isOn) {
-    this.service.getCharacteristic(Characteristic.CurrentDoorState)
-        .setValue(this.convertIsOnToValue(isOn, Characteristic.CurrentDoorState.OPEN, Characteristic.CurrentDoorState.CLOSED),
-                  undefined, IndigoAccessory.REFRESH_CONTEXT);
-    this.service.getCharacteristic(Characteristic.TargetDoorState)
-        .setValue(this.convertIsOnToValue(isOn, Characteristic.TargetDoorState.OPEN, Characteristic.TargetDoorState.CLOSED),
-                  undefined, IndigoAccessory.REFRESH_CONTEXT);
+// Get the number of seconds until a zone is expected to stop
+// zone: the zone number, starting at 1
+// callback: invokes callback(undefined, remainingDuration), remainingDuration is 0 if the zone is not running
+IndigoIrrigationAccessory.prototype.getRemainingDuration = function(zone, callback) {
+    if (callback) {
+        callback(undefined, this.getRemainingTime(zone));
+    }
 };
 
+// Update HomeKit's system and valve state to match the zone that Indigo reports is running
+// A zone that was started in Indigo is expected to run for its HomeKit duration
+IndigoIrrigationAccessory.prototype.updateZones = function() {
+    var activeZone = this.getActiveZone();
+    this.valves.forEach(
+        function(valve, index) {
+            var zone = index + 1;
+            var active = (zone == activeZone);
+            if (!active) {
+                delete this.zoneEndTimes[zone];
+            } else if (this.zoneEndTimes[zone] === undefined) {
+                this.zoneEndTimes[zone] = Date.now() + this.getDuration(zone) * 1000;
+            }
+            valve.getCharacteristic(Characteristic.Active)
+                .setValue(active ? Characteristic.Active.ACTIVE : Characteristic.Active.INACTIVE, undefined, IndigoAccessory.REFRESH_CONTEXT);
+            valve.getCharacteristic(Characteristic.InUse)
+                .setValue(active ? Characteristic.InUse.IN_USE : Characteristic.InUse.NOT_IN_USE, undefined, IndigoAccessory.REFRESH_CONTEXT);
+            valve.getCharacteristic(Characteristic.RemainingDuration)
+                .setValue(this.getRemainingTime(zone), undefined, IndigoAccessory.REFRESH_CONTEXT);
+        }.bind(this)
+    );
 
-//
-// Indigo Motion Sensor Accessory
-//
-// platform: the HomeKit platform
-// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
-// json: the json that describes this device
-//
-function IndigoMotionSensorAccessory(platform, deviceURL, json) {
-    IndigoAccessory.call(this, platform, Service.MotionSensor, deviceURL, json);
-
-    this.service.getCharacteristic(Characteristic.MotionDetected)
-        .on('get', this.getOnState.bind(this));
-}
+    this.service.getCharacteristic(Characteristic.Active)
+        .setValue((activeZone > 0) ? Characteristic.Active.ACTIVE : Characteristic.Active.INACTIVE, undefined, IndigoAccessory.REFRESH_CONTEXT);
+    this.service.getCharacteristic(Characteristic.InUse)
+        .setValue((activeZone > 0) ? Characteristic.InUse.IN_USE : Characteristic.InUse.NOT_IN_USE, undefined, IndigoAccessory.REFRESH_CONTEXT);
+};
 
-// Update HomeKit state to match state of Indigo's isOn property
-// isOn: new value of isOn property
-IndigoMotionSensorAccessory.prototype.update_isOn = function(isOn) {
-    this.service.getCharacteristic(Characteristic.MotionDetected)
-        .setValue(this.convertIsOnToBoolean(isOn), undefined, IndigoAccessory.REFRESH_CONTEXT);
+// Update HomeKit state to match state of Indigo's activeZone property
+// activeZone: new value of activeZone property
+IndigoIrrigationAccessory.prototype.update_activeZone = function(activeZone) {
+    this.updateZones();
 };
 
 
 //
-// Indigo Contact Sensor Accessory
+// Indigo Thermostat Accessory
 //
 // platform: the HomeKit platform
 // deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
 // json: the json that describes this device
 //
-function IndigoContactSensorAccessory(platform, deviceURL, json) {
-    IndigoAccessory.call(this, platform, Service.ContactSensor, deviceURL, json);
+function IndigoThermostatAccessory(platform, deviceURL, json, thermostatsInCelsius) {
+    IndigoAccessory.call(this, platform, Service.Thermostat, deviceURL, json);
 
-    this.service.getCharacteristic(Characteristic.ContactSensorState)
-        .on('get', this.getOnState.bind(this));
-}
+    this.thermostatsInCelsius = thermostatsInCelsius;
 
-// Update HomeKit state to match state of Indigo's isOn property
-// isOn: new value of isOn property
-IndigoContactSensorAccessory.prototype.update_isOn = function(isOn) {
-    this.service.getCharacteristic(Characteristic.ContactSensorState)
-        .setValue(this.convertIsOnToBoolean(isOn), undefined, IndigoAccessory.REFRESH_CONTEXT);
-};
+    this.temperatureDisplayUnits = (thermostatsInCelsius) ?
+        Characteristic.TemperatureDisplayUnits.CELSIUS :
+        Characteristic.TemperatureDisplayUnits.FAHRENHEIT;
 
+    this.service.getCharacteristic(Characteristic.CurrentHeatingCoolingState)
+        .on('get', this.getCurrentHeatingCooling.bind(this));
 
-//
-// Indigo Light Accessory
-//
-// platform: the HomeKit platform
-// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
-// json: the json that describes this device
-//
-function IndigoLightAccessory(platform, deviceURL, json) {
-    IndigoAccessory.call(this, platform, Service.Lightbulb, deviceURL, json);
+    this.service.getCharacteristic(Characteristic.TargetHeatingCoolingState)
+        .on('get', this.getTargetHeatingCooling.bind(this))
+        .on('set', this.setTargetHeatingCooling.bind(this));
 
-    if (this.brightness) {
-        this.previousBrightness = this.brightness;
-    }
+    this.service.getCharacteristic(Characteristic.CurrentTemperature)
+        .setProps({minValue: -50})
+        .on('get', this.getCurrentTemperature.bind(this));
 
-    this.service.getCharacteristic(Characteristic.On)
-        .on('get', this.getOnState.bind(this))
-        .on('set', this.setLightOnState.bind(this));
+    this.service.getCharacteristic(Characteristic.TargetTemperature)
+        .on('get', this.getTargetTemperature.bind(this))
+        .on('set', this.setTargetTemperature.bind(this));
 
-    if (this.typeSupportsDim || this.typeIsDimmer) {
-        this.service.getCharacteristic(Characteristic.Brightness)
-            .on('get', this.getBrightness.bind(this))
-            .on('set', this.setBrightness.bind(this));
+    this.service.getCharacteristic(Characteristic.TemperatureDisplayUnits)
+        .on('get', this.getTemperatureDisplayUnits.bind(this))
+        .on('set', this.setTemperatureDisplayUnits.bind(this));
+
+    this.service.getCharacteristic(Characteristic.CoolingThresholdTemperature)
+        .on('get', this.getCoolingThresholdTemperature.bind(this))
+        .on('set', this.setCoolingThresholdTemperature.bind(this));
+
+    this.service.getCharacteristic(Characteristic.HeatingThresholdTemperature)
+        .on('get', this.getHeatingThresholdTemperature.bind(this))
+        .on('set', this.setHeatingThresholdTemperature.bind(this));
+
+    if (this.displayHumidityInRemoteUI) {
+        this.service.getCharacteristic(Characteristic.CurrentRelativeHumidity)
+            .on('get', this.getCurrentRelativeHumidity.bind(this));
     }
 }
 
-// Set the on state of the light
-// onState: true if on, false otherwise
-//          if true, sets the brightness to the previous brightness level, unless it is undefined or zero, in which case sends an ON command
-//          this hackery is because HomeKit sends both ON and BRIGHTNESS when adjusting a light's brightness
-// callback: invokes callback(error), error is undefined if no error occurred
-// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, otherwise will
-IndigoLightAccessory.prototype.setLightOnState = function(onState, callback, context) {
-    this.log("%s: setLightOnState(%d)", this.name, onState);
-    if ((this.typeSupportsDim || this.typeIsDimmer) && onState && this.previousBrightness) {
-        this.setBrightness(this.previousBrightness, callback, context);
-    } else {
-        this.setOnState(onState, callback, context)
+// Determine the current heating/cooling state
+// returns one of Characteristic.CurrentHeatingCoolingState.{OFF,HEAT,COOL}
+IndigoThermostatAccessory.prototype.determineCurrentHeatingCoolingState = function() {
+    var mode = Characteristic.CurrentHeatingCoolingState.OFF;
+    if (this.hvacHeaterIsOn) {
+        mode = Characteristic.CurrentHeatingCoolingState.HEAT;
+    } else if (this.hvacCoolerIsOn) {
+        mode = Characteristic.CurrentHeatingCoolingState.COOL;
+    }
+    return mode;
+};
+
+// Determine the target heating/cooling state
+// returns one of Characteristic.TargetHeatingCoolingState.{OFF,HEAT,COOL,AUTO}
+IndigoThermostatAccessory.prototype.determineTargetHeatingCoolingState = function() {
+    var mode = Characteristic.TargetHeatingCoolingState.OFF;
+    if (this.hvacOperationModeIsHeat || this.hvacOperationModeIsProgramHeat) {
+        mode = Characteristic.TargetHeatingCoolingState.HEAT;
+    } else if (this.hvacOperationModeIsCool || this.hvacOperationModeIsProgramCool) {
+        mode = Characteristic.TargetHeatingCoolingState.COOL;
+    } else if (this.hvacOperationModeIsAuto || this.hvacOperationModeIsProgramAuto) {
+        mode = Characteristic.TargetHeatingCoolingState.AUTO;
     }
+    return mode;
 };
 
-// Get the brightness of the accessory
-// callback: invokes callback(error, brightness)
+// Get the current heating/cooling state of the accessory
+// callback: invokes callback(error, mode)
 //           error: error message or undefined if no error
-//           brightness: if device supports brightness, will return the brightness value
-IndigoLightAccessory.prototype.getBrightness = function(callback) {
-    if (this.typeSupportsDim || this.typeIsDimmer) {
-        this.query("brightness",
-            function(error, brightness) {
-                if (!error && brightness > 0) {
-                    this.previousBrightness = brightness;
+//           mode: one of Characteristic.CurrentHeatingCoolingState.{OFF,HEAT,COOL}
+IndigoThermostatAccessory.prototype.getCurrentHeatingCooling = function(callback) {
+    if (this.typeSupportsHVAC || this.typeIsHVAC) {
+        this.getCachedStatus(
+            function (error) {
+                if (error) {
+                    if (callback) {
+                        callback(error);
+                    }
+                } else {
+                    var mode = this.determineCurrentHeatingCoolingState();
+                    this.log("%s: getCurrentHeatingCooling() => %s", this.name, mode);
+                    if (callback) {
+                        callback(undefined, mode);
+                    }
                 }
-                if (callback) {
-                    callback(error, this.convertBrightness(brightness));
+            }.bind(this)
+        );
+    }
+    else if (callback) {
+        callback("Accessory does not support HVAC");
+    }
+};
+
+// Get the target heating/cooling state of the accessory
+// callback: invokes callback(error, mode)
+//           error: error message or undefined if no error
+//           mode: one of Characteristic.TargetHeatingCoolingState.{OFF,HEAT,COOL,AUTO}
+IndigoThermostatAccessory.prototype.getTargetHeatingCooling = function(callback) {
+    if (this.typeSupportsHVAC || this.typeIsHVAC) {
+        this.getCachedStatus(
+            function (error) {
+                if (error) {
+                    if (callback) {
+                        callback(error);
+                    }
+                } else {
+                    var mode = this.determineTargetHeatingCoolingState();
+                    this.log("%s: getTargetHeatingCooling() => %s", this.name, mode);
+                    if (callback) {
+                        callback(undefined, mode);
+                    }
                 }
             }.bind(this)
         );
-    } else if (callback) {
-        callback("Accessory does not support brightness");
+    }
+    else if (callback) {
+        callback("Accessory does not support HVAC");
     }
 };
 
-// Set the current brightness of the accessory
-// brightness: the brightness, from 0 (off) to 100 (full on)
+// Set the target heating/cooling state of the accessory
+// mode: one of Characteristic.TargetHeatingCoolingState.{OFF,HEAT,COOL,AUTO}
 // callback: invokes callback(error), error is undefined if no error occurred
 // context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, otherwise will
-IndigoLightAccessory.prototype.setBrightness = function(brightness, callback, context) {
-    this.log("%s: setBrightness(%d)", this.name, brightness);
+IndigoThermostatAccessory.prototype.setTargetHeatingCooling = function(mode, callback, context) {
+    this.log("%s: setTargetHeatingCooling(%s)", this.name, mode);
     if (context == IndigoAccessory.REFRESH_CONTEXT) {
         if (callback) {
             callback();
         }
     }
-    else if (this.typeSupportsDim || this.typeIsDimmer) {
-        if (brightness >= 0 && brightness <= 100) {
-            if (brightness > 0) {
-                this.previousBrightness = brightness;
-            }
-            this.updateStatus({brightness: this.convertBrightness(brightness)}, callback);
+    else if (this.typeSupportsHVAC || this.typeIsHVAC) {
+        var hvacCurrentMode;
+        if (mode == Characteristic.TargetHeatingCoolingState.OFF) {
+            hvacCurrentMode = "all off";
+        }
+        else if (mode == Characteristic.TargetHeatingCoolingState.HEAT) {
+            hvacCurrentMode = "heat on";
+        }
+        else if (mode == Characteristic.TargetHeatingCoolingState.COOL) {
+            hvacCurrentMode = "cool on";
+        }
+        else if (mode == Characteristic.TargetHeatingCoolingState.AUTO) {
+            hvacCurrentMode = "auto on";
+        }
+
+        if (hvacCurrentMode) {
+            this.updateStatus({hvacCurrentMode: hvacCurrentMode}, callback);
+        } else if (callback) {
+            callback("Unknown target heating/cooling state");
         }
     }
     else if (callback) {
-        callback("Accessory does not support brightness");
+        callback("Accessory does not support HVAC");
     }
 };
 
-// Update HomeKit state to match state of Indigo's isOn property
-// isOn: new value of isOn property
-IndigoLightAccessory.prototype.update_isOn = function(isOn) {
-    this.service.getCharacteristic(Characteristic.On)
-        .setValue(this.convertIsOnToBoolean(isOn), undefined, IndigoAccessory.REFRESH_CONTEXT);
+// Invokes the Indigo RESTful API to get a temperature value
+// key: the Indigo RESTful API response JSON key of the temperature value
+// callback: invokes callback(error, temperature)
+//           error: error message or undefined if no error
+//           temperature: the temperature in degrees celsius
+IndigoThermostatAccessory.prototype.getTemperatureValue = function(key, callback) {
+    if (this.typeSupportsHVAC || this.typeIsHVAC) {
+        this.query(key,
+            function(error, temperature) {
+                if (error) {
+                    if (callback) {
+                        callback(error);
+                    }
+                } else {
+                    var t = this.indigoTempToCelsius(temperature);
+                    this.log("%s: getTemperatureValue(%s) => %s", this.name, key, t);
+                    if (callback) {
+                        callback(undefined, t);
+                    }
+                }
+            }.bind(this)
+        );
+    }
+    else if (callback) {
+        callback("Accessory does not support HVAC");
+    }
 };
 
-// Update HomeKit state to match state of Indigo's brightness property
-// brightness: new value of brightness property
-IndigoLightAccessory.prototype.update_brightness = function(brightness) {
-    if (brightness > 0) {
-        this.previousBrightness = brightness;
+// Invokes the Indigo RESTful API to update a temperature value
+// key: the Indigo RESTful API JSON key of the temperature value to update
+// temperature: the temperature in degrees celsius
+// callback: invokes callback(error), error is undefined if no error occurred
+// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, otherwise will
+IndigoThermostatAccessory.prototype.setTemperatureValue = function(key, temperature, callback, context) {
+    this.log("%s: setTemperatureValue(%s, %s)", this.name, key, temperature);
+    if (context == IndigoAccessory.REFRESH_CONTEXT) {
+        if (callback) {
+            callback();
+        }
+    }
+    else if (this.typeSupportsHVAC || this.typeIsHVAC) {
+        var qs = { };
+        qs[key] = this.celsiusToIndigoTemp(temperature);
+        this.updateStatus(qs, callback);
+    }
+    else if (callback) {
+        callback("Accessory does not support HVAC");
     }
-    this.service.getCharacteristic(Characteristic.Brightness)
-        .setValue(this.convertBrightness(brightness), undefined, IndigoAccessory.REFRESH_CONTEXT);
 };
 
 
-//
-// Indigo Fan Accessory
-//
-// platform: the HomeKit platform
-// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
-// json: the json that describes this device
-//
-function IndigoFanAccessory(platform, deviceURL, json) {
-    IndigoAccessory.call(this, platform, Service.Fan, deviceURL, json);
+// Get the current temperature of the accessory
+// callback: invokes callback(error, temperature)
+//           error: error message or undefined if no error
+//           temperature: the temperature in degrees celsius
+IndigoThermostatAccessory.prototype.getCurrentTemperature = function(callback) {
+    this.getTemperatureValue("inputTemperatureVals", callback);
+};
 
-    if (this.speedIndex) {
-        this.previousRotationSpeed = (this.speedIndex / 3.0) * 100.0;
+// Determine the target temperature of the accessory
+// If the thermostat is in heating mode, returns the heat setpoint in degrees celsius
+// If the thermostat is in cooling mode, returns the cool setpoint in degrees celsius
+// Otherwise, returns the average of the heat and cool setpoints in degrees celsius
+IndigoThermostatAccessory.prototype.determineTargetTemperature = function() {
+    var temperature;
+    if (this.hvacOperationModeIsHeat || this.hvacOperationModeIsProgramHeat) {
+        temperature = this.setpointHeat;
     }
-
-    this.service.getCharacteristic(Characteristic.On)
-        .on('get', this.getOnState.bind(this))
-        .on('set', this.setFanOnState.bind(this));
-
-    this.service.getCharacteristic(Characteristic.RotationSpeed)
-        .on('get', this.getRotationSpeed.bind(this))
-        .on('set', this.setRotationSpeed.bind(this));
+    else if (this.hvacOperationModeIsCool || this.hvacOperationModeIsProgramCool) {
+        temperature = this.setpointCool;
+    }
+    else {
+        temperature = (this.setpointHeat + this.setpointCool) / 2.0;
+    }
+    return this.indigoTempToCelsius(temperature);
 }
 
-// Set the on state of the fan
-// onState: true if on, false otherwise
-//          if true, sets the speed index to the previous speed index level, unless it is undefined or zero, in which case sends an ON command
-//          this hackery is because HomeKit sends both ON and ROTATION SPEED when adjusting a fan's speed
-// callback: invokes callback(error), error is undefined if no error occurred
-// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, otherwise will
-IndigoFanAccessory.prototype.setFanOnState = function(onState, callback, context) {
-    this.log("%s: setFanOnState(%d)", this.name, onState);
-    if (onState && this.previousRotationSpeed) {
-        this.setRotationSpeed(this.previousRotationSpeed, callback, context);
-    } else {
-        this.setOnState(onState, callback, context)
+// Get the target temperature of the accessory
+// If the thermostat is in heating mode, it uses the heat setpoint
+// If the thermostat is in cooling mode, it uses the cool setpoint
+// Otherwise, it uses the average of the heat and cool setpoints
+// callback: invokes callback(error, temperature)
+//           error: error message or undefined if no error
+//           temperature: the temperature in degrees celsius
+IndigoThermostatAccessory.prototype.getTargetTemperature = function(callback) {
+    if (this.typeSupportsHVAC || this.typeIsHVAC) {
+        this.getCachedStatus(
+            function (error) {
+                if (error) {
+                    if (callback) {
+                        callback(error);
+                    }
+                } else {
+                    var t = this.determineTargetTemperature();
+                    this.log("%s: getTargetTemperature() => %s", this.name, t);
+                    if (callback) {
+                        callback(undefined, t);
+                    }
+                }
+            }.bind(this)
+        );
+    }
+    else if (callback) {
+        callback("Accessory does not support HVAC");
     }
 };
 
-// Get the rotation speed of the accessory
-// callback: invokes callback(error, speedIndex)
-//           error: error message or undefined if no error
-//           speedIndex: if device supports speed control, will return the speed as a value from 0 (off) to 100 (full speed)
-IndigoFanAccessory.prototype.getRotationSpeed = function(callback) {
-    if (this.typeSupportsSpeedControl || this.typeIsSpeedControl) {
-        this.query("speedIndex",
-            function(error, speedIndex) {
+// Set the target temperature of the accessory
+// If the thermostat is in heating mode, it sets the heat setpoint
+// If the thermostat is in cooling mode, it sets the cool setpoint
+// Otherwise, it sets the heat setpoint to 2 degrees celsius (5 degrees fahrenheit) below the target temperature,
+// and sets the cool setpoint to 2 degrees celsius (5 degrees fahrenheit) above the target temperature
+// temperature: the temperature in degrees celsius
+// callback: invokes callback(error), error is undefined if no error occurred
+// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, otherwise will
+IndigoThermostatAccessory.prototype.setTargetTemperature = function(temperature, callback, context) {
+    this.log("%s: setTargetTemperature(%s)", this.name, temperature);
+    if (context == IndigoAccessory.REFRESH_CONTEXT) {
+        if (callback) {
+            callback();
+        }
+    }
+    else if (this.typeSupportsHVAC || this.typeIsHVAC) {
+        var t = this.celsiusToIndigoTemp(temperature);
+        this.getCachedStatus(
+            function (error) {
                 if (error) {
                     if (callback) {
                         callback(error);
                     }
                 } else {
-                    var rotationSpeed = (speedIndex / 3.0) * 100.0;
-                    if (rotationSpeed > 0) {
-                        this.previousRotationSpeed = rotationSpeed;
+                    var qs;
+                    if (this.hvacOperationModeIsHeat) {
+                        qs = {setpointHeat: t};
                     }
-                    if (callback) {
-                        callback(undefined, this.convertBrightness(rotationSpeed));
+                    else if (this.hvacOperationModeIsCool) {
+                        qs = {setpointCool: t};
                     }
+                    else {
+                        var adjust = (this.thermostatsInCelsius) ? 2 : 5;
+                        qs = {setpointCool: t + adjust, setpointHeat: t - adjust};
+                    }
+                    this.updateStatus(qs, callback);
                 }
             }.bind(this)
         );
     }
     else if (callback) {
-        callback("Accessory does not support rotation speed");
+        callback("Accessory does not support HVAC");
     }
 };
 
-// Set the current rotation speed of the accessory
-// rotationSpeed: the rotation speed, from 0 (off) to 100 (full speed)
-// callback: invokes callback(error), error is undefined if no error occurred
-// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, otherwise will
-IndigoFanAccessory.prototype.setRotationSpeed = function(rotationSpeed, callback, context) {
-    this.log("%s: setRotationSpeed(%d)", this.name, rotationSpeed);
-    if (context == IndigoAccessory.REFRESH_CONTEXT) {
-        if (callback) {
-            callback();
-        }
-    }
-    else if (this.typeSupportsSpeedControl || this.typeIsSpeedControl) {
-        if (rotationSpeed >= 0.0 && rotationSpeed <= 100.0) {
-            var rs = this.convertBrightness(rotationSpeed);
-            var speedIndex = 0;
-            if (rs > (100.0 / 3.0 * 2.0)) {
-                speedIndex = 3;
-            } else if (rs > (100.0 / 3.0)) {
-                speedIndex = 2;
-            } else if (rs > 0) {
-                speedIndex = 1;
-            }
-            if (rotationSpeed > 0) {
-                this.previousRotationSpeed = rotationSpeed;
-            }
-            this.updateStatus({speedIndex: speedIndex}, callback);
-        }
-    }
-    else if (callback) {
-        callback("Accessory does not support rotation speed");
+// Get the temperature display units of the accessory
+// callback: invokes callback(error, units)
+//           error: error message or undefined if no error
+//           units: the temperature display units - one of TemperatureDisplayUnits.{CELSIUS,FAHRENHEIT}
+IndigoThermostatAccessory.prototype.getTemperatureDisplayUnits = function(callback) {
+    this.log("%s: getTemperatureDisplayUnits() => %s", this.name, this.temperatureDisplayUnits);
+    if (callback) {
+        callback(undefined, this.temperatureDisplayUnits);
     }
 };
 
-// Update HomeKit state to match state of Indigo's isOn property
-// isOn: new value of isOn property
-IndigoFanAccessory.prototype.update_isOn = function(isOn) {
-    this.service.getCharacteristic(Characteristic.On)
-        .setValue(this.convertIsOnToBoolean(isOn), undefined, IndigoAccessory.REFRESH_CONTEXT);
+// Set the temperature display units of the accessory
+// units: the temperature display units - one of TemperatureDisplayUnits.{CELSIUS,FAHRENHEIT}
+// callback: invokes callback(error), error is undefined if no error occurred
+IndigoThermostatAccessory.prototype.setTemperatureDisplayUnits = function(units, callback) {
+    this.log("%s: setTemperatureDisplayUnits(%s)", this.name, units);
+    this.temperatureDisplayUnits = units;
+    if (callback) {
+        callback();
+    }
 };
 
-// Update HomeKit state to match state of Indigo's speedIndex property
-// speedIndex: new value of speedIndex property
-IndigoFanAccessory.prototype.update_speedIndex = function(speedIndex) {
-    var rotationSpeed = (speedIndex / 3.0) * 100.0;
-    if (rotationSpeed > 0) {
-        this.previousRotationSpeed = rotationSpeed;
-    }
-    this.service.getCharacteristic(Characteristic.RotationSpeed)
-        .setValue(this.convertBrightness(rotationSpeed), undefined, IndigoAccessory.REFRESH_CONTEXT);
+// Get the cooling threshold temperature of the accessory
+// callback: invokes callback(error, temperature)
+//           error: error message or undefined if no error
+//           temperature: the temperature in degrees celsius
+IndigoThermostatAccessory.prototype.getCoolingThresholdTemperature = function(callback) {
+    this.getTemperatureValue("setpointCool", callback);
 };
 
+// Set the cooling threshold temperature of the accessory
+// temperature: the temperature in degrees celsius
+// callback: invokes callback(error), error is undefined if no error occurred
+// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, otherwise will
+IndigoThermostatAccessory.prototype.setCoolingThresholdTemperature = function(temperature, callback, context) {
+    this.setTemperatureValue("setpointCool", temperature, callback, context);
+};
 
-//
-// Indigo Thermostat Accessory
-//
-// platform: the HomeKit platform
-// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
-// json: the json that describes this device
-//
-function IndigoThermostatAccessory(platform, deviceURL, json, thermostatsInCelsius) {
-    IndigoAccessory.call(this, platform, Service.Thermostat, deviceURL, json);
+// Get the heating threshold temperature of the accessory
+// callback: invokes callback(error, temperature)
+//           error: error message or undefined if no error
+//           temperature: the temperature in degrees celsius
+IndigoThermostatAccessory.prototype.getHeatingThresholdTemperature = function(callback) {
+    this.getTemperatureValue("setpointHeat", callback);
+};
 
-    this.thermostatsInCelsius = thermostatsInCelsius;
+// Set the heating threshold temperature of the accessory
+// temperature: the temperature in degrees celsius
+// callback: invokes callback(error), error is undefined if no error occurred
+// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, otherwise will
+IndigoThermostatAccessory.prototype.setHeatingThresholdTemperature = function(temperature, callback, context) {
+    this.setTemperatureValue("setpointHeat", temperature, callback, context);
+};
 
-    this.temperatureDisplayUnits = (thermostatsInCelsius) ?
-        Characteristic.TemperatureDisplayUnits.CELSIUS :
-        Characteristic.TemperatureDisplayUnits.FAHRENHEIT;
+// Get the current relative humidity of the accessory
+// callback: invokes callback(error, relativeHumidity)
+//           error: error message or undefined if no error
+//           relativeHumidity: the relative humidity
+IndigoThermostatAccessory.prototype.getCurrentRelativeHumidity = function(callback) {
+    if (this.displayHumidityInRemoteUI) {
+        this.query("inputHumidityVals", callback);
+    } else if (callback) {
+        callback("Accessory does not support relative humidity");
+    }
+};
 
+// Update HomeKit state to match state of Indigo's hvacHeaterIsOn/hvacCoolerIsOn property
+// prop: new value of property
+IndigoThermostatAccessory.prototype.update_hvacHeaterIsOn =
+IndigoThermostatAccessory.prototype.update_hvacCoolerIsOn = function(prop) {
     this.service.getCharacteristic(Characteristic.CurrentHeatingCoolingState)
-        .on('get', this.getCurrentHeatingCooling.bind(this));
+        .setValue(this.determineCurrentHeatingCoolingState(), undefined, IndigoAccessory.REFRESH_CONTEXT);
+};
 
+// Update HomeKit state to match state of Indigo's hvacOperationModeIsHeat/hvacOperationModeIsProgramHeat
+// hvacOperationModeIsCool/hvacOperationModeIsProgramCool/hvacOperationModeIsAuto/hvacOperationModeIsProgramAuto property
+// prop: new value of property
+IndigoThermostatAccessory.prototype.update_hvacOperationModeIsHeat =
+IndigoThermostatAccessory.prototype.update_hvacOperationModeIsProgramHeat =
+IndigoThermostatAccessory.prototype.update_hvacOperationModeIsCool =
+IndigoThermostatAccessory.prototype.update_hvacOperationModeIsProgramCool =
+IndigoThermostatAccessory.prototype.update_hvacOperationModeIsAuto =
+IndigoThermostatAccessory.prototype.update_hvacOperationModeIsProgramAuto = function(prop) {
     this.service.getCharacteristic(Characteristic.TargetHeatingCoolingState)
-        .on('get', this.getTargetHeatingCooling.bind(this))
-        .on('set', this.setTargetHeatingCooling.bind(this));
-
-    this.service.getCharacteristic(Characteristic.CurrentTemperature)
-        .setProps({minValue: -50})
-        .on('get', this.getCurrentTemperature.bind(this));
-
+        .setValue(this.determineTargetHeatingCoolingState(), undefined, IndigoAccessory.REFRESH_CONTEXT);
     this.service.getCharacteristic(Characteristic.TargetTemperature)
-        .on('get', this.getTargetTemperature.bind(this))
-        .on('set', this.setTargetTemperature.bind(this));
+        .setValue(this.determineTargetTemperature(), undefined, IndigoAccessory.REFRESH_CONTEXT);
+};
 
-    this.service.getCharacteristic(Characteristic.TemperatureDisplayUnits)
-        .on('get', this.getTemperatureDisplayUnits.bind(this))
-        .on('set', this.setTemperatureDisplayUnits.bind(this));
+// Update HomeKit state to match state of Indigo's inputTemperatureVals property
+// inputTemperatureVals: new value of inputTemperatureVals property
+IndigoThermostatAccessory.prototype.update_inputTemperatureVals = function(inputTemperatureVals) {
+    this.service.getCharacteristic(Characteristic.CurrentTemperature)
+        .setValue(this.indigoTempToCelsius(inputTemperatureVals), undefined, IndigoAccessory.REFRESH_CONTEXT);
+};
 
+// Update HomeKit state to match state of Indigo's setpointCool property
+// setpointCool: new value of setpointCool property
+IndigoThermostatAccessory.prototype.update_setpointCool = function(setpointCool) {
     this.service.getCharacteristic(Characteristic.CoolingThresholdTemperature)
-        .on('get', this.getCoolingThresholdTemperature.bind(this))
-        .on('set', this.setCoolingThresholdTemperature.bind(this));
+        .setValue(this.indigoTempToCelsius(setpointCool), undefined, IndigoAccessory.REFRESH_CONTEXT);
+    this.service.getCharacteristic(Characteristic.TargetTemperature)
+        .setValue(this.determineTargetTemperature(), undefined, IndigoAccessory.REFRESH_CONTEXT);
+};
 
+// Update HomeKit state to match state of Indigo's setpointHeat property
+// setpointHeat: new value of setpointHeat property
+IndigoThermostatAccessory.prototype.update_setpointHeat = function(setpointHeat) {
     this.service.getCharacteristic(Characteristic.HeatingThresholdTemperature)
-        .on('get', this.getHeatingThresholdTemperature.bind(this))
-        .on('set', this.setHeatingThresholdTemperature.bind(this));
-
-    if (this.displayHumidityInRemoteUI) {
-        this.service.getCharacteristic(Characteristic.CurrentRelativeHumidity)
-            .on('get', this.getCurrentRelativeHumidity.bind(this));
-    }
-}
-
-// Determine the current heating/cooling state
-// returns one of Characteristic.CurrentHeatingCoolingState.{OFF,HEAT,COOL}
-IndigoThermostatAccessory.prototype.determineCurrentHeatingCoolingState = function() {
-    var mode = Characteristic.CurrentHeatingCoolingState.OFF;
-    if (this.hvacHeaterIsOn) {
-        mode = Characteristic.CurrentHeatingCoolingState.HEAT;
-    } else if (this.hvacCoolerIsOn) {
-        mode = Characteristic.CurrentHeatingCoolingState.COOL;
-    }
-    return mode;
+        .setValue(this.indigoTempToCelsius(setpointHeat), undefined, IndigoAccessory.REFRESH_CONTEXT);
+    this.service.getCharacteristic(Characteristic.TargetTemperature)
+        .setValue(this.determineTargetTemperature(), undefined, IndigoAccessory.REFRESH_CONTEXT);
 };
 
-// Determine the target heating/cooling state
-// returns one of Characteristic.TargetHeatingCoolingState.{OFF,HEAT,COOL,AUTO}
-IndigoThermostatAccessory.prototype.determineTargetHeatingCoolingState = function() {
-    var mode = Characteristic.TargetHeatingCoolingState.OFF;
-    if (this.hvacOperationModeIsHeat || this.hvacOperationModeIsProgramHeat) {
-        mode = Characteristic.TargetHeatingCoolingState.HEAT;
-    } else if (this.hvacOperationModeIsCool || this.hvacOperationModeIsProgramCool) {
-        mode = Characteristic.TargetHeatingCoolingState.COOL;
-    } else if (this.hvacOperationModeIsAuto || this.hvacOperationModeIsProgramAuto) {
-        mode = Characteristic.TargetHeatingCoolingState.AUTO;
-    }
-    return mode;
+// Update HomeKit state to match state of Indigo's inputHumidityVals property
+// inputHumidityVals: new value of inputHumidityVals property
+IndigoThermostatAccessory.prototype.update_inputHumidityVals = function(inputHumidityVals) {
+    this.service.getCharacteristic(Characteristic.CurrentRelativeHumidity)
+        .setValue(inputHumidityVals, undefined, IndigoAccessory.REFRESH_CONTEXT);
 };
 
-// Get the current heating/cooling state of the accessory
-// callback: invokes callback(error, mode)
-//           error: error message or undefined if no error
-//           mode: one of Characteristic.CurrentHeatingCoolingState.{OFF,HEAT,COOL}
-IndigoThermostatAccessory.prototype.getCurrentHeatingCooling = function(callback) {
-    if (this.typeSupportsHVAC || this.typeIsHVAC) {
-        this.getStatus(
-            function (error) {
-                if (error) {
-                    if (callback) {
-                        callback(error);
-                    }
-                } else {
-                    var mode = this.determineCurrentHeatingCoolingState();
-                    this.log("%s: getCurrentHeatingCooling() => %s", this.name, mode);
-                    if (callback) {
-                        callback(undefined, mode);
-                    }
-                }
-            }.bind(this)
-        );
-    }
-    else if (callback) {
-        callback("Accessory does not support HVAC");
-    }
+
+//
+// Indigo Action Accessory - Represents an Indigo action group as a "push button switch" accessory (turns on only momentarily)
+//
+// platform: the HomeKit platform
+// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
+// json: the json that describes this device
+//
+function IndigoActionAccessory(platform, deviceURL, json) {
+    IndigoAccessory.call(this, platform, Service.Switch, deviceURL, json);
+
+    this.service.getCharacteristic(Characteristic.On)
+        .on('get', this.getActionState.bind(this))
+        .on('set', this.executeAction.bind(this));
+}
+
+// Get the action state of the accessory
+// Actions always say they are off
+// callback: invokes callback(undefined, false)
+IndigoActionAccessory.prototype.getActionState = function(callback) {
+    this.log("%s: getActionState() => %s", this.name, false);
+    callback(undefined, false);
 };
 
-// Get the target heating/cooling state of the accessory
-// callback: invokes callback(error, mode)
-//           error: error message or undefined if no error
-//           mode: one of Characteristic.TargetHeatingCoolingState.{OFF,HEAT,COOL,AUTO}
-IndigoThermostatAccessory.prototype.getTargetHeatingCooling = function(callback) {
-    if (this.typeSupportsHVAC || this.typeIsHVAC) {
-        this.getStatus(
-            function (error) {
+// Executes the action if value is true and turns the accessory back off
+// value: if true, executes the action and updates the accessory state back to off
+// callback: invokes callback(error), error is undefined if no error occurred
+// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to execute the action, otherwise will
+IndigoActionAccessory.prototype.executeAction = function(value, callback, context) {
+    this.log("%s: executeAction(%s)", this.name, value);
+    if (value && context !== IndigoAccessory.REFRESH_CONTEXT) {
+        this.platform.indigoRequest(this.deviceURL, "EXECUTE", null,
+            function(error, response, body) {
                 if (error) {
-                    if (callback) {
-                        callback(error);
-                    }
-                } else {
-                    var mode = this.determineTargetHeatingCoolingState();
-                    this.log("%s: getTargetHeatingCooling() => %s", this.name, mode);
-                    if (callback) {
-                        callback(undefined, mode);
-                    }
+                    this.log("Error executing action group: %s", error);
                 }
             }.bind(this)
         );
-    }
-    else if (callback) {
-        callback("Accessory does not support HVAC");
-    }
-};
 
-// Set the target heating/cooling state of the accessory
-// mode: one of Characteristic.TargetHeatingCoolingState.{OFF,HEAT,COOL,AUTO}
-// callback: invokes callback(error), error is undefined if no error occurred
-// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, otherwise will
-IndigoThermostatAccessory.prototype.setTargetHeatingCooling = function(mode, callback, context) {
-    this.log("%s: setTargetHeatingCooling(%s)", this.name, mode);
-    if (context == IndigoAccessory.REFRESH_CONTEXT) {
-        if (callback) {
-            callback();
-        }
+        // Turn the switch back off
+        setTimeout(
+            function() {
+                this.service.getCharacteristic(Characteristic.On)
+                    .setValue(false, undefined, IndigoAccessory.REFRESH_CONTEXT);
+            }.bind(this),
+        1000);
     }
-    else if (this.typeSupportsHVAC || this.typeIsHVAC) {
-        var hvacCurrentMode;
-        if (mode == Characteristic.TargetHeatingCoolingState.OFF) {
-            hvacCurrentMode = "all off";
-        }
-        else if (mode == Characteristic.TargetHeatingCoolingState.HEAT) {
-            hvacCurrentMode = "heat on";
-        }
-        else if (mode == Characteristic.TargetHeatingCoolingState.COOL) {
-            hvacCurrentMode = "cool on";
-        }
-        else if (mode == Characteristic.TargetHeatingCoolingState.AUTO) {
-            hvacCurrentMode = "auto on";
-        }
 
-        if (hvacCurrentMode) {
-            this.updateStatus({hvacCurrentMode: hvacCurrentMode}, callback);
-        } else if (callback) {
-            callback("Unknown target heating/cooling state");
-        }
-    }
-    else if (callback) {
-        callback("Accessory does not support HVAC");
+    if (callback) {
+        callback();
     }
 };
 
-// Note: HomeKit wants all temperature values in celsius, so convert if needed
 
-// Converts a celsius temperature into Indigo's units (F or C, depending on setting)
-// temperature: temperature in degrees celsius
-// returns: temperature in Indigo's units
-IndigoThermostatAccessory.prototype.celsiusToIndigoTemp = function(temperature) {
-    if (this.thermostatsInCelsius) {
-        return (temperature);
-    } else {
-        return (Math.round(((temperature * 9.0 / 5.0) + 32.0) * 10.0) / 10.0);
+//
+// Indigo Scene Switch Accessory - A virtual switch that executes one action group when turned on and another when turned off
+// Its state comes from an Indigo device (its on state) or variable (a true/false, on/off or yes/no value), if configured
+//
+// platform: the HomeKit platform
+// id: the ID of the scene switch, which is not an Indigo ID
+// sceneSwitch: the scene switch's configuration, with its "name", "onActionId", "offActionId",
+//              and optionally a "stateDeviceId" or "stateVariableId"
+//
+function IndigoSceneSwitchAccessory(platform, id, sceneSwitch) {
+    this.onActionId = (sceneSwitch.onActionId !== undefined) ? String(sceneSwitch.onActionId) : undefined;
+    this.offActionId = (sceneSwitch.offActionId !== undefined) ? String(sceneSwitch.offActionId) : undefined;
+    this.stateVariable = (sceneSwitch.stateVariableId !== undefined);
+    if (this.stateVariable) {
+        this.stateId = String(sceneSwitch.stateVariableId);
+    } else if (sceneSwitch.stateDeviceId !== undefined) {
+        this.stateId = String(sceneSwitch.stateDeviceId);
     }
-}
+    this.watchedIds = [ this.onActionId, this.offActionId, this.stateId ].filter(
+        function(watchedId) {
+            return (watchedId !== undefined);
+        }
+    );
 
-// Converts a temperature in Indigo's units (F or C, depending on setting) into celsius
-// temperature: temperature in Indigo's units
-// returns: temperature in degrees celsius
-IndigoThermostatAccessory.prototype.indigoTempToCelsius = function(temperature) {
-    if (this.thermostatsInCelsius) {
-        return (temperature);
-    } else {
-        return (Math.round(((temperature - 32.0) * 5.0 / 9.0) * 10.0) / 10.0);
-    }
+    var json = {
+        id: id,
+        name: sceneSwitch.name,
+        type: "Scene Switch",
+        typeSupportsOnOff: true,
+        isOn: false
+    };
+    IndigoAccessory.call(this, platform, Service.Switch, undefined, json);
+
+    this.service.getCharacteristic(Characteristic.On)
+        .on('get', this.getOnState.bind(this))
+        .on('set', this.setSceneOnState.bind(this));
+
+    this.refreshWatchedItems();
 }
 
-// Invokes the Indigo RESTful API to get a temperature value
-// key: the Indigo RESTful API response JSON key of the temperature value
-// callback: invokes callback(error, temperature)
-//           error: error message or undefined if no error
-//           temperature: the temperature in degrees celsius
-IndigoThermostatAccessory.prototype.getTemperatureValue = function(key, callback) {
-    if (this.typeSupportsHVAC || this.typeIsHVAC) {
-        this.query(key,
-            function(error, temperature) {
-                if (error) {
-                    if (callback) {
-                        callback(error);
-                    }
-                } else {
-                    var t = this.indigoTempToCelsius(temperature);
-                    this.log("%s: getTemperatureValue(%s) => %s", this.name, key, t);
-                    if (callback) {
-                        callback(undefined, t);
-                    }
-                }
-            }.bind(this)
-        );
+// Updates the scene switch's state from the latest state of its device or variable
+IndigoSceneSwitchAccessory.prototype.refreshWatchedItems = function() {
+    if (this.stateId === undefined) {
+        return;
     }
-    else if (callback) {
-        callback("Accessory does not support HVAC");
+    var item = this.platform.watchedItems.get(this.stateId);
+    if (this.stateVariable && item.value !== undefined) {
+        this.refreshFromJSON({ isOn: IndigoVariableSwitchAccessory.prototype.isVariableOn(item.value) });
+    } else if (!this.stateVariable && item.isOn !== undefined) {
+        // A device listed in "invertOnOffIds" shows the scene is active when Indigo reports it as off
+        var inverted = this.platform.invertOnOffId(this.stateId);
+        this.refreshFromJSON({ isOn: (inverted) ? !item.isOn : Boolean(item.isOn) });
     }
 };
 
-// Invokes the Indigo RESTful API to update a temperature value
-// key: the Indigo RESTful API JSON key of the temperature value to update
-// temperature: the temperature in degrees celsius
+// Calls the Indigo RESTful API to get the latest state of the scene switch's device or variable
+// Scene switches without one keep the state they were last set to
 // callback: invokes callback(error), error is undefined if no error occurred
-// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, otherwise will
-IndigoThermostatAccessory.prototype.setTemperatureValue = function(key, temperature, callback, context) {
-    this.log("%s: setTemperatureValue(%s, %s)", this.name, key, temperature);
-    if (context == IndigoAccessory.REFRESH_CONTEXT) {
+IndigoSceneSwitchAccessory.prototype.getStatus = function(callback) {
+    if (this.stateId === undefined) {
+        this.statusTime = Date.now();
         if (callback) {
             callback();
         }
+        return;
     }
-    else if (this.typeSupportsHVAC || this.typeIsHVAC) {
-        var qs = { };
-        qs[key] = this.celsiusToIndigoTemp(temperature);
-        this.updateStatus(qs, callback);
-    }
-    else if (callback) {
-        callback("Accessory does not support HVAC");
-    }
-};
-
-
-// Get the current temperature of the accessory
-// callback: invokes callback(error, temperature)
-//           error: error message or undefined if no error
-//           temperature: the temperature in degrees celsius
-IndigoThermostatAccessory.prototype.getCurrentTemperature = function(callback) {
-    this.getTemperatureValue("inputTemperatureVals", callback);
+    this.platform.fetchWatchedItem(this.stateId,
+        function(error) {
+            if (!error) {
+                this.statusTime = Date.now();
+            }
+            if (callback) {
+                callback(error);
+            }
+        }.bind(this)
+    );
 };
 
-// Determine the target temperature of the accessory
-// If the thermostat is in heating mode, returns the heat setpoint in degrees celsius
-// If the thermostat is in cooling mode, returns the cool setpoint in degrees celsius
-// Otherwise, returns the average of the heat and cool setpoints in degrees celsius
-IndigoThermostatAccessory.prototype.determineTargetTemperature = function() {
-    var temperature;
-    if (this.hvacOperationModeIsHeat || this.hvacOperationModeIsProgramHeat) {
-        temperature = this.setpointHeat;
-    }
-    else if (this.hvacOperationModeIsCool || this.hvacOperationModeIsProgramCool) {
-        temperature = this.setpointCool;
-    }
-    else {
-        temperature = (this.setpointHeat + this.setpointCool) / 2.0;
-    }
-    return this.indigoTempToCelsius(temperature);
-}
-
-// Get the target temperature of the accessory
-// If the thermostat is in heating mode, it uses the heat setpoint
-// If the thermostat is in cooling mode, it uses the cool setpoint
-// Otherwise, it uses the average of the heat and cool setpoints
-// callback: invokes callback(error, temperature)
-//           error: error message or undefined if no error
-//           temperature: the temperature in degrees celsius
-IndigoThermostatAccessory.prototype.getTargetTemperature = function(callback) {
-    if (this.typeSupportsHVAC || this.typeIsHVAC) {
-        this.getStatus(
-            function (error) {
-                if (error) {
-                    if (callback) {
-                        callback(error);
-                    }
-                } else {
-                    var t = this.determineTargetTemperature();
-                    this.log("%s: getTargetTemperature() => %s", this.name, t);
-                    if (callback) {
-                        callback(undefined, t);
-                    }
-                }
-            }.bind(this)
-        );
-    }
-    else if (callback) {
-        callback("Accessory does not support HVAC");
+// Polls the scene switch's device or variable, unless it is an accessory that is polled on its own
+// callback: invokes callback(error), error is undefined if no error occurred
+IndigoSceneSwitchAccessory.prototype.poll = function(callback) {
+    if (this.stateId === undefined || this.platform.accessoryMap.has(this.stateId)) {
+        if (callback) {
+            callback();
+        }
+    } else {
+        this.getStatus(callback);
     }
 };
 
-// Set the target temperature of the accessory
-// If the thermostat is in heating mode, it sets the heat setpoint
-// If the thermostat is in cooling mode, it sets the cool setpoint
-// Otherwise, it sets the heat setpoint to 2 degrees celsius (5 degrees fahrenheit) below the target temperature,
-// and sets the cool setpoint to 2 degrees celsius (5 degrees fahrenheit) above the target temperature
-// temperature: the temperature in degrees celsius
+// Executes the scene's on or off action group
+// onState: true to execute the on action group, false to execute the off action group
 // callback: invokes callback(error), error is undefined if no error occurred
-// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, otherwise will
-IndigoThermostatAccessory.prototype.setTargetTemperature = function(temperature, callback, context) {
-    this.log("%s: setTargetTemperature(%s)", this.name, temperature);
+// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to execute an action group, otherwise will
+IndigoSceneSwitchAccessory.prototype.setSceneOnState = function(onState, callback, context) {
+    this.log("%s: setSceneOnState(%s)", this.name, onState);
+    var actionId = (onState) ? this.onActionId : this.offActionId;
+    var action = (actionId !== undefined) ? this.platform.watchedItems.get(actionId) : undefined;
     if (context == IndigoAccessory.REFRESH_CONTEXT) {
         if (callback) {
             callback();
         }
-    }
-    else if (this.typeSupportsHVAC || this.typeIsHVAC) {
-        var t = this.celsiusToIndigoTemp(temperature);
-        this.getStatus(
-            function (error) {
+    } else if (actionId === undefined) {
+        // Nothing to execute, e.g. a scene that is only turned off by something else
+        this.isOn = onState;
+        if (callback) {
+            callback();
+        }
+    } else if (!action.deviceURL) {
+        if (callback) {
+            callback("Action group " + actionId + " has not been discovered");
+        }
+    } else {
+        this.platform.indigoRequest(action.deviceURL, "EXECUTE", null,
+            function(error, response, body) {
                 if (error) {
-                    if (callback) {
-                        callback(error);
-                    }
-                } else {
-                    var qs;
-                    if (this.hvacOperationModeIsHeat) {
-                        qs = {setpointHeat: t};
-                    }
-                    else if (this.hvacOperationModeIsCool) {
-                        qs = {setpointCool: t};
-                    }
-                    else {
-                        var adjust = (this.thermostatsInCelsius) ? 2 : 5;
-                        qs = {setpointCool: t + adjust, setpointHeat: t - adjust};
-                    }
-                    this.updateStatus(qs, callback);
+                    this.log("Error executing action group: %s", error);
+                } else if (this.stateId === undefined) {
+                    this.isOn = onState;
+                }
+                if (callback) {
+                    callback(error);
                 }
             }.bind(this)
         );
     }
-    else if (callback) {
-        callback("Accessory does not support HVAC");
+};
+
+// Update HomeKit state to match the state of the scene's device or variable
+// isOn: true if the scene is active
+IndigoSceneSwitchAccessory.prototype.update_isOn = function(isOn) {
+    this.service.getCharacteristic(Characteristic.On)
+        .setValue(this.convertIsOnToBoolean(isOn), undefined, IndigoAccessory.REFRESH_CONTEXT);
+};
+
+
+//
+// Indigo Button Accessory - One or more stateless programmable switches (e.g. keypad buttons) that trigger HomeKit automations
+// Presses are sent by Indigo to the listener (see IndigoPlatform.pressButton), so the buttons need not be Indigo devices
+//
+// platform: the HomeKit platform
+// id: the ID of the button accessory, which is not an Indigo ID
+// buttonGroup: the buttons' configuration, with its "name" and the "ids" of its buttons, in order
+//
+function IndigoButtonAccessory(platform, id, buttonGroup) {
+    var json = {
+        id: id,
+        name: buttonGroup.name,
+        type: "Buttons"
+    };
+    IndigoAccessory.call(this, platform, Service.ServiceLabel, undefined, json);
+
+    this.service.setCharacteristic(Characteristic.ServiceLabelNamespace,
+                                   Characteristic.ServiceLabelNamespace.ARABIC_NUMERALS);
+
+    this.buttonServices = new Map();
+    (buttonGroup.ids || []).forEach(
+        function(buttonId, index) {
+            var buttonService = this.addOrGetService(Service.StatelessProgrammableSwitch,
+                                                     this.name + " " + (index + 1), String(buttonId));
+            buttonService.setCharacteristic(Characteristic.ServiceLabelIndex, index + 1);
+            this.buttonServices.set(String(buttonId), buttonService);
+        }.bind(this)
+    );
+}
+
+// Press events accepted by the listener, and their HomeKit values
+IndigoButtonAccessory.EVENTS = {
+    single: 0,
+    double: 1,
+    long: 2
+};
+
+// Returns true if this accessory has a button with the ID
+// buttonId: the ID of the button
+IndigoButtonAccessory.prototype.hasButton = function(buttonId) {
+    return this.buttonServices.has(String(buttonId));
+};
+
+// Fires a press of one of the buttons in HomeKit
+// buttonId: the ID of the button
+// event: "single", "double" or "long"
+IndigoButtonAccessory.prototype.pressButton = function(buttonId, event) {
+    this.buttonServices.get(String(buttonId)).getCharacteristic(Characteristic.ProgrammableSwitchEvent)
+        .setValue(IndigoButtonAccessory.EVENTS[event], undefined, IndigoAccessory.REFRESH_CONTEXT);
+};
+
+// Buttons are not refreshed from Indigo
+IndigoButtonAccessory.prototype.refreshWatchedItems = function() {
+};
+
+
+//
+// Indigo Security System Accessory - An alarm panel whose states map to the values of an Indigo device state or variable
+// It is armed and disarmed by executing action groups, or by writing the state's value to its variable
+//
+// platform: the HomeKit platform
+// id: the ID of the security system, which is not an Indigo ID
+// securitySystem: the security system's configuration, with its "name", optionally a "stateDeviceId" (and "stateKey")
+//                 or "stateVariableId", the Indigo "states" value for each HomeKit state,
+//                 and the "actionIds" of action groups that set each HomeKit state
+//
+function IndigoSecuritySystemAccessory(platform, id, securitySystem) {
+    this.securityName = String(securitySystem.name);
+    this.stateVariable = (securitySystem.stateVariableId !== undefined);
+    if (this.stateVariable) {
+        this.stateId = String(securitySystem.stateVariableId);
+        this.stateKey = "value";
+    } else if (securitySystem.stateDeviceId !== undefined) {
+        this.stateId = String(securitySystem.stateDeviceId);
+        this.stateKey = securitySystem.stateKey || "displayRawState";
+    }
+
+    this.stateValues = {};
+    this.actionIds = {};
+    IndigoSecuritySystemAccessory.STATES.forEach(
+        function(state) {
+            var stateValue = (securitySystem.states || {})[state];
+            this.stateValues[state] = (stateValue !== undefined) ? String(stateValue) : state;
+            var actionId = (securitySystem.actionIds || {})[state];
+            if (actionId !== undefined) {
+                this.actionIds[state] = String(actionId);
+            }
+        }.bind(this)
+    );
+
+    this.watchedIds = Object.keys(this.actionIds).map(
+        function(state) {
+            return this.actionIds[state];
+        }.bind(this)
+    );
+    if (this.stateId !== undefined) {
+        this.watchedIds.push(this.stateId);
     }
-};
 
-// Get the temperature display units of the accessory
-// callback: invokes callback(error, units)
-//           error: error message or undefined if no error
-//           units: the temperature display units - one of TemperatureDisplayUnits.{CELSIUS,FAHRENHEIT}
-IndigoThermostatAccessory.prototype.getTemperatureDisplayUnits = function(callback) {
-    this.log("%s: getTemperatureDisplayUnits() => %s", this.name, this.temperatureDisplayUnits);
-    if (callback) {
-        callback(undefined, this.temperatureDisplayUnits);
+    var json = {
+        id: id,
+        name: securitySystem.name,
+        type: "Security System",
+        securityState: "disarmed"
+    };
+    IndigoAccessory.call(this, platform, Service.SecuritySystem, undefined, json);
+
+    // Security systems without a state to follow show the state they were last set to, even after a restart
+    if (this.stateId === undefined && this.accessory.context.securityState) {
+        this.securityState = this.accessory.context.securityState;
     }
-};
 
-// Set the temperature display units of the accessory
-// units: the temperature display units - one of TemperatureDisplayUnits.{CELSIUS,FAHRENHEIT}
-// callback: invokes callback(error), error is undefined if no error occurred
-IndigoThermostatAccessory.prototype.setTemperatureDisplayUnits = function(units, callback) {
-    this.log("%s: setTemperatureDisplayUnits(%s)", this.name, units);
-    this.temperatureDisplayUnits = units;
-    if (callback) {
-        callback();
+    // Only offer the target states that can actually be set
+    this.targetStates = [];
+    for (var targetState = 0; targetState < IndigoSecuritySystemAccessory.TARGET_STATE_COUNT; targetState++) {
+        if (this.canSetState(IndigoSecuritySystemAccessory.STATES[targetState])) {
+            this.targetStates.push(targetState);
+        }
     }
-};
 
-// Get the cooling threshold temperature of the accessory
-// callback: invokes callback(error, temperature)
-//           error: error message or undefined if no error
-//           temperature: the temperature in degrees celsius
-IndigoThermostatAccessory.prototype.getCoolingThresholdTemperature = function(callback) {
-    this.getTemperatureValue("setpointCool", callback);
+    this.service.getCharacteristic(Characteristic.SecuritySystemCurrentState)
+        .on('get', this.getSecurityCurrentState.bind(this));
+
+    var targetCharacteristic = this.service.getCharacteristic(Characteristic.SecuritySystemTargetState);
+    if (this.targetStates.length == 0) {
+        // Monitor only, so HomeKit cannot set the target state
+        this.log("%s: No action groups or variable to arm or disarm the security system with", this.name);
+        targetCharacteristic.setProps({ perms: [ Characteristic.Perms.READ, Characteristic.Perms.NOTIFY ] });
+    } else {
+        targetCharacteristic.setProps({ validValues: this.targetStates });
+        if (this.targetStates.indexOf(targetCharacteristic.value) < 0) {
+            targetCharacteristic.setValue(this.targetStates[0], undefined, IndigoAccessory.REFRESH_CONTEXT);
+        }
+    }
+    targetCharacteristic
+        .on('get', this.getSecurityTargetState.bind(this))
+        .on('set', this.setSecurityTargetState.bind(this));
+
+    this.refreshWatchedItems();
+    this.update_securityState(this.securityState);
+}
+
+// States of the security system, in the order of HomeKit's SecuritySystemCurrentState values
+// The first TARGET_STATE_COUNT states are also HomeKit's SecuritySystemTargetState values
+IndigoSecuritySystemAccessory.STATES = [ "stay", "away", "night", "disarmed", "triggered" ];
+IndigoSecuritySystemAccessory.TARGET_STATE_COUNT = 4;
+
+// Returns true if the security system can be set to the state, by an action group or by writing its variable
+// state: one of IndigoSecuritySystemAccessory.STATES
+IndigoSecuritySystemAccessory.prototype.canSetState = function(state) {
+    return (this.actionIds[state] !== undefined || this.stateVariable);
 };
 
-// Set the cooling threshold temperature of the accessory
-// temperature: the temperature in degrees celsius
-// callback: invokes callback(error), error is undefined if no error occurred
-// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, otherwise will
-IndigoThermostatAccessory.prototype.setCoolingThresholdTemperature = function(temperature, callback, context) {
-    this.setTemperatureValue("setpointCool", temperature, callback, context);
+// Returns the state that an Indigo value maps to, or undefined if it does not map to any of them
+// Values are compared ignoring case and surrounding whitespace
+// value: the value of the Indigo device state or variable
+IndigoSecuritySystemAccessory.prototype.findState = function(value) {
+    var v = String(value).trim().toLowerCase();
+    return IndigoSecuritySystemAccessory.STATES.filter(
+        function(state) {
+            return (this.stateValues[state].trim().toLowerCase() == v);
+        }.bind(this)
+    )[0];
 };
 
-// Get the heating threshold temperature of the accessory
-// callback: invokes callback(error, temperature)
-//           error: error message or undefined if no error
-//           temperature: the temperature in degrees celsius
-IndigoThermostatAccessory.prototype.getHeatingThresholdTemperature = function(callback) {
-    this.getTemperatureValue("setpointHeat", callback);
+// Updates the security system's state from the latest state of its device or variable
+IndigoSecuritySystemAccessory.prototype.refreshWatchedItems = function() {
+    if (this.stateId === undefined) {
+        return;
+    }
+    var item = this.platform.watchedItems.get(this.stateId);
+    if (item[this.stateKey] !== undefined) {
+        var state = this.findState(item[this.stateKey]);
+        if (state) {
+            this.refreshFromJSON({ securityState: state });
+        } else {
+            this.log("%s: Ignoring unknown security system state %s", this.name, item[this.stateKey]);
+        }
+    }
 };
 
-// Set the heating threshold temperature of the accessory
-// temperature: the temperature in degrees celsius
+// Calls the Indigo RESTful API to get the latest state of the security system's device or variable
+// Security systems without one keep the state they were last set to
 // callback: invokes callback(error), error is undefined if no error occurred
-// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the device, otherwise will
-IndigoThermostatAccessory.prototype.setHeatingThresholdTemperature = function(temperature, callback, context) {
-    this.setTemperatureValue("setpointHeat", temperature, callback, context);
+IndigoSecuritySystemAccessory.prototype.getStatus = function(callback) {
+    if (this.stateId === undefined) {
+        this.statusTime = Date.now();
+        if (callback) {
+            callback();
+        }
+        return;
+    }
+    this.platform.fetchWatchedItem(this.stateId,
+        function(error) {
+            if (!error) {
+                this.statusTime = Date.now();
+            }
+            if (callback) {
+                callback(error);
+            }
+        }.bind(this)
+    );
 };
 
-// Get the current relative humidity of the accessory
-// callback: invokes callback(error, relativeHumidity)
-//           error: error message or undefined if no error
-//           relativeHumidity: the relative humidity
-IndigoThermostatAccessory.prototype.getCurrentRelativeHumidity = function(callback) {
-    if (this.displayHumidityInRemoteUI) {
-        this.query("inputHumidityVals", callback);
-    } else if (callback) {
-        callback("Accessory does not support relative humidity");
+// Polls the security system's device or variable, unless it is an accessory that is polled on its own
+// callback: invokes callback(error), error is undefined if no error occurred
+IndigoSecuritySystemAccessory.prototype.poll = function(callback) {
+    if (this.stateId === undefined || this.platform.accessoryMap.has(this.stateId)) {
+        if (callback) {
+            callback();
+        }
+    } else {
+        this.getStatus(callback);
     }
 };
 
-// Update HomeKit state to match state of Indigo's hvacHeaterIsOn/hvacCoolerIsOn property
-// prop: new value of property
-IndigoThermostatAccessory.prototype.update_hvacHeaterIsOn =
-IndigoThermostatAccessory.prototype.update_hvacCoolerIsOn = function(prop) {
-    this.service.getCharacteristic(Characteristic.CurrentHeatingCoolingState)
-        .setValue(this.determineCurrentHeatingCoolingState(), undefined, IndigoAccessory.REFRESH_CONTEXT);
+// Get the current state of the security system
+// callback: invokes callback(error, currentState)
+//           error: error message or undefined if no error
+//           currentState: a Characteristic.SecuritySystemCurrentState value
+IndigoSecuritySystemAccessory.prototype.getSecurityCurrentState = function(callback) {
+    this.getCachedStatus(
+        function(error) {
+            if (error) {
+                if (callback) {
+                    callback(error);
+                }
+            } else {
+                var currentState = IndigoSecuritySystemAccessory.STATES.indexOf(this.securityState);
+                this.log("%s: getSecurityCurrentState() => %s", this.name, currentState);
+                if (callback) {
+                    callback(undefined, currentState);
+                }
+            }
+        }.bind(this)
+    );
 };
 
-// Update HomeKit state to match state of Indigo's hvacOperationModeIsHeat/hvacOperationModeIsProgramHeat
-// hvacOperationModeIsCool/hvacOperationModeIsProgramCool/hvacOperationModeIsAuto/hvacOperationModeIsProgramAuto property
-// prop: new value of property
-IndigoThermostatAccessory.prototype.update_hvacOperationModeIsHeat =
-IndigoThermostatAccessory.prototype.update_hvacOperationModeIsProgramHeat =
-IndigoThermostatAccessory.prototype.update_hvacOperationModeIsCool =
-IndigoThermostatAccessory.prototype.update_hvacOperationModeIsProgramCool =
-IndigoThermostatAccessory.prototype.update_hvacOperationModeIsAuto =
-IndigoThermostatAccessory.prototype.update_hvacOperationModeIsProgramAuto = function(prop) {
-    this.service.getCharacteristic(Characteristic.TargetHeatingCoolingState)
-        .setValue(this.determineTargetHeatingCoolingState(), undefined, IndigoAccessory.REFRESH_CONTEXT);
-    this.service.getCharacteristic(Characteristic.TargetTemperature)
-        .setValue(this.determineTargetTemperature(), undefined, IndigoAccessory.REFRESH_CONTEXT);
+// Get the target state of the security system, which is the armed state it stays in while the alarm is triggered
+// callback: invokes callback(error, targetState)
+//           error: error message or undefined if no error
+//           targetState: a Characteristic.SecuritySystemTargetState value
+IndigoSecuritySystemAccessory.prototype.getSecurityTargetState = function(callback) {
+    this.getCachedStatus(
+        function(error) {
+            if (error) {
+                if (callback) {
+                    callback(error);
+                }
+            } else {
+                var targetState = this.service.getCharacteristic(Characteristic.SecuritySystemTargetState).value;
+                this.log("%s: getSecurityTargetState() => %s", this.name, targetState);
+                if (callback) {
+                    callback(undefined, targetState);
+                }
+            }
+        }.bind(this)
+    );
 };
 
-// Update HomeKit state to match state of Indigo's inputTemperatureVals property
-// inputTemperatureVals: new value of inputTemperatureVals property
-IndigoThermostatAccessory.prototype.update_inputTemperatureVals = function(inputTemperatureVals) {
-    this.service.getCharacteristic(Characteristic.CurrentTemperature)
-        .setValue(this.indigoTempToCelsius(inputTemperatureVals), undefined, IndigoAccessory.REFRESH_CONTEXT);
-};
+// Arms or disarms the security system, by executing the state's action group if there is one,
+// or else by writing the state's value to the security system's variable
+// targetState: a Characteristic.SecuritySystemTargetState value
+// callback: invokes callback(error), error is undefined if no error occurred
+// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the security system, otherwise will
+IndigoSecuritySystemAccessory.prototype.setSecurityTargetState = function(targetState, callback, context) {
+    this.log("%s: setSecurityTargetState(%s)", this.name, targetState);
+    var state = IndigoSecuritySystemAccessory.STATES[targetState];
+    var item;
+    var method;
+    var qs = null;
+    if (this.actionIds[state] !== undefined) {
+        item = this.platform.watchedItems.get(this.actionIds[state]);
+        method = "EXECUTE";
+    } else if (this.stateVariable) {
+        item = this.platform.watchedItems.get(this.stateId);
+        method = "PUT";
+        qs = { value: this.stateValues[state] };
+    }
 
-// Update HomeKit state to match state of Indigo's setpointCool property
-// setpointCool: new value of setpointCool property
-IndigoThermostatAccessory.prototype.update_setpointCool = function(setpointCool) {
-    this.service.getCharacteristic(Characteristic.CoolingThresholdTemperature)
-        .setValue(this.indigoTempToCelsius(setpointCool), undefined, IndigoAccessory.REFRESH_CONTEXT);
-    this.service.getCharacteristic(Characteristic.TargetTemperature)
-        .setValue(this.determineTargetTemperature(), undefined, IndigoAccessory.REFRESH_CONTEXT);
+    if (context == IndigoAccessory.REFRESH_CONTEXT) {
+        if (callback) {
+            callback();
+        }
+    } else if (!item) {
+        if (callback) {
+            callback("Security system cannot be set to " + state);
+        }
+    } else if (!item.deviceURL) {
+        if (callback) {
+            callback("Security system's action group or variable has not been discovered");
+        }
+    } else {
+        this.platform.indigoRequest(item.deviceURL, method, qs,
+            function(error, response, body) {
+                if (error) {
+                    this.log("Error setting security system state: %s", error);
+                } else if (this.stateId === undefined) {
+                    this.setSecurityState(state);
+                } else if (this.stateVariable) {
+                    this.platform.fetchWatchedItem(this.stateId);
+                }
+                if (callback) {
+                    callback(error);
+                }
+            }.bind(this)
+        );
+    }
 };
 
-// Update HomeKit state to match state of Indigo's setpointHeat property
-// setpointHeat: new value of setpointHeat property
-IndigoThermostatAccessory.prototype.update_setpointHeat = function(setpointHeat) {
-    this.service.getCharacteristic(Characteristic.HeatingThresholdTemperature)
-        .setValue(this.indigoTempToCelsius(setpointHeat), undefined, IndigoAccessory.REFRESH_CONTEXT);
-    this.service.getCharacteristic(Characteristic.TargetTemperature)
-        .setValue(this.determineTargetTemperature(), undefined, IndigoAccessory.REFRESH_CONTEXT);
+// Sets the security system's state as reported by something other than its device or variable,
+// such as an Indigo trigger that sends the state to the listener (see IndigoPlatform.reportSecurityState)
+// The state is remembered in the accessory's context for security systems without a device or variable
+// state: one of IndigoSecuritySystemAccessory.STATES
+IndigoSecuritySystemAccessory.prototype.setSecurityState = function(state) {
+    if (this.stateId === undefined) {
+        this.accessory.context.securityState = state;
+        this.platform.api.updatePlatformAccessories([ this.accessory ]);
+    }
+    this.refreshFromJSON({ securityState: state });
 };
 
-// Update HomeKit state to match state of Indigo's inputHumidityVals property
-// inputHumidityVals: new value of inputHumidityVals property
-IndigoThermostatAccessory.prototype.update_inputHumidityVals = function(inputHumidityVals) {
-    this.service.getCharacteristic(Characteristic.CurrentRelativeHumidity)
-        .setValue(inputHumidityVals, undefined, IndigoAccessory.REFRESH_CONTEXT);
+// Update HomeKit state to match the security system's state
+// The target state is left alone while the alarm is triggered, so HomeKit still shows how the system was armed,
+// and when the state is one that HomeKit cannot set
+// securityState: one of IndigoSecuritySystemAccessory.STATES
+IndigoSecuritySystemAccessory.prototype.update_securityState = function(securityState) {
+    var currentState = IndigoSecuritySystemAccessory.STATES.indexOf(securityState);
+    // Monitor-only security systems follow the current state, otherwise the target must be one that can be set
+    if (this.targetStates.length == 0 ?
+        currentState < IndigoSecuritySystemAccessory.TARGET_STATE_COUNT : this.targetStates.indexOf(currentState) >= 0) {
+        this.service.getCharacteristic(Characteristic.SecuritySystemTargetState)
+            .setValue(currentState, undefined, IndigoAccessory.REFRESH_CONTEXT);
+    }
+    this.service.getCharacteristic(Characteristic.SecuritySystemCurrentState)
+        .setValue(currentState, undefined, IndigoAccessory.REFRESH_CONTEXT);
 };
 
 
 //
-// Indigo Action Accessory - Represents an Indigo action group as a "push button switch" accessory (turns on only momentarily)
+// Indigo Variable Switch Accessory - Represents a boolean-like Indigo variable (e.g. true/false) as a switch
 //
 // platform: the HomeKit platform
-// deviceURL: the path of the RESTful call for this device, relative to the base URL in the configuration, starting with a /
-// json: the json that describes this device
+// deviceURL: the path of the RESTful call for this variable, relative to the base URL in the configuration, starting with a /
+// json: the json that describes this variable
 //
-function IndigoActionAccessory(platform, deviceURL, json) {
+function IndigoVariableSwitchAccessory(platform, deviceURL, json) {
     IndigoAccessory.call(this, platform, Service.Switch, deviceURL, json);
 
     this.service.getCharacteristic(Characteristic.On)
-        .on('get', this.getActionState.bind(this))
-        .on('set', this.executeAction.bind(this));
+        .on('get', this.getVariableOnState.bind(this))
+        .on('set', this.setVariableOnState.bind(this));
 }
 
-// Get the action state of the accessory
-// Actions always say they are off
-// callback: invokes callback(undefined, false)
-IndigoActionAccessory.prototype.getActionState = function(callback) {
-    this.log("%s: getActionState() => %s", this.name, false);
-    callback(undefined, false);
+// Pairs of [true, false] variable values that we understand, compared case-insensitively
+// "1" and "0" are only used for variables that are configured as switches, since they are also numbers
+IndigoVariableSwitchAccessory.BOOLEAN_VALUES = [ ["true", "false"], ["on", "off"], ["yes", "no"], ["1", "0"] ];
+
+// Returns true if a variable value looks like a boolean (e.g. true/false, on/off, yes/no)
+// value: the value of the variable
+IndigoVariableSwitchAccessory.isBooleanLike = function(value) {
+    var v = String(value).toLowerCase();
+    return IndigoVariableSwitchAccessory.BOOLEAN_VALUES.some(
+        function(pair) {
+            return (pair[0] != "1" && (pair[0] == v || pair[1] == v));
+        }
+    );
 };
 
-// Executes the action if value is true and turns the accessory back off
-// value: if true, executes the action and updates the accessory state back to off
-// callback: invokes callback(error), error is undefined if no error occurred
-// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to execute the action, otherwise will
-IndigoActionAccessory.prototype.executeAction = function(value, callback, context) {
-    this.log("%s: executeAction(%s)", this.name, value);
-    if (value && context !== IndigoAccessory.REFRESH_CONTEXT) {
-        this.platform.indigoRequest(this.deviceURL, "EXECUTE", null,
-            function(error, response, body) {
-                if (error) {
-                    this.log("Error executing action group: %s", error);
-                }
-            }.bind(this)
-        );
+// Returns true if the variable's value means on (e.g. true, on, yes, 1)
+// value: the value of the variable
+IndigoVariableSwitchAccessory.prototype.isVariableOn = function(value) {
+    var v = String(value).toLowerCase();
+    return IndigoVariableSwitchAccessory.BOOLEAN_VALUES.some(
+        function(pair) {
+            return (pair[0] == v);
+        }
+    );
+};
 
-        // Turn the switch back off
-        setTimeout(
-            function() {
-                this.service.getCharacteristic(Characteristic.On)
-                    .setValue(false, undefined, IndigoAccessory.REFRESH_CONTEXT);
-            }.bind(this),
-        1000);
+// Returns the variable value to write to Indigo for an on/off state, in the same style as the variable's current value
+// (e.g. a variable that is currently "Off" is turned on with "On")
+// isOn: Evaluated as a boolean
+IndigoVariableSwitchAccessory.prototype.formatVariableValue = function(isOn) {
+    var current = String(this.value);
+    var pair = IndigoVariableSwitchAccessory.BOOLEAN_VALUES[0];
+    IndigoVariableSwitchAccessory.BOOLEAN_VALUES.forEach(
+        function(p) {
+            if (p[0] == current.toLowerCase() || p[1] == current.toLowerCase()) {
+                pair = p;
+            }
+        }
+    );
+    var value = (isOn) ? pair[0] : pair[1];
+    if (current.length > 0 && current.charAt(0) != current.charAt(0).toLowerCase()) {
+        value = value.charAt(0).toUpperCase() + value.substr(1);
     }
+    return value;
+};
 
-    if (callback) {
-        callback();
+// Get the on/off state of the variable
+// callback: invokes callback(error, onState)
+//           error: error message or undefined if no error
+//           onState: true if the variable's value means on, false otherwise
+IndigoVariableSwitchAccessory.prototype.getVariableOnState = function(callback) {
+    this.getCachedStatus(
+        function(error) {
+            if (error) {
+                if (callback) {
+                    callback(error);
+                }
+            } else {
+                var onState = this.convertIsOnToBoolean(this.isVariableOn(this.value));
+                this.log("%s: getVariableOnState() => %s", this.name, onState);
+                if (callback) {
+                    callback(undefined, onState);
+                }
+            }
+        }.bind(this)
+    );
+};
+
+// Set the on/off state of the variable
+// onState: true if on, false otherwise
+// callback: invokes callback(error), error is undefined if no error occurred
+// context: if equal to IndigoAccessory.REFRESH_CONTEXT, will not call the Indigo RESTful API to update the variable, otherwise will
+IndigoVariableSwitchAccessory.prototype.setVariableOnState = function(onState, callback, context) {
+    this.log("%s: setVariableOnState(%s)", this.name, onState);
+    if (context == IndigoAccessory.REFRESH_CONTEXT) {
+        if (callback) {
+            callback();
+        }
+    } else {
+        this.updateStatus({ value: this.formatVariableValue(this.convertBooleanToIsOn(onState)) }, callback);
     }
 };
+
+// Update HomeKit state to match state of Indigo's value property
+// value: new value of value property
+IndigoVariableSwitchAccessory.prototype.update_value = function(value) {
+    this.service.getCharacteristic(Characteristic.On)
+        .setValue(this.convertIsOnToBoolean(this.isVariableOn(value)), undefined, IndigoAccessory.REFRESH_CONTEXT);
+};